@@ -8,6 +8,7 @@
 (() => {
   const STORAGE_KEY = 'bloomora_v1';
   const CUSTOM_BG_KEY = 'bloomora_custom_bg_v1';
+  const ACTIVE_TIMER_KEY = 'bloomora_active_timer_v1';
 
   // localStorage can be blocked in some browsers when opening via file://
   // (especially on Windows/Edge). We guard all storage calls so the UI still loads.
@@ -42,47 +43,421 @@
     },
   };
 
+  // ------------------ INDEXEDDB PERSISTENCE ------------------
+  // Long histories outgrow a single localStorage blob, so when IndexedDB is
+  // available sessions, labels and tasks are stored as individual records and
+  // everything else (settings, progression, ui) as one profile record.
+  // Only records that changed since the last write are put/deleted.
+  // localStorage (STORAGE_KEY) stays the fallback when IndexedDB is unavailable.
+  const IDB_NAME = 'bloomora';
+  const IDB_VERSION = 1;
+  const IDB_RECORD_STORES = ['sessions', 'labels', 'tasks'];
+
+  const idb = {
+    db: null,
+    ready: false,
+    // next write clears every store first (first migration, or after a failed write)
+    rewrite: false,
+    flushTimer: null,
+    lastProfileJson: '',
+    // store -> Map(id -> JSON last written), used to diff writes
+    written: { sessions: new Map(), labels: new Map(), tasks: new Map() },
+  };
+
+  function idbOpen() {
+    return new Promise((resolve, reject) => {
+      let req;
+      try {
+        if (!window.indexedDB) throw new Error('IndexedDB is not available');
+        req = window.indexedDB.open(IDB_NAME, IDB_VERSION);
+      } catch (e) {
+        reject(e);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of IDB_RECORD_STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('profile')) db.createObjectStore('profile');
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+      req.onblocked = () => reject(new Error('IndexedDB open was blocked'));
+    });
+  }
+
+  function idbRecordsOf(st, name) {
+    if (name === 'sessions') return Array.isArray(st.sessions) ? st.sessions : [];
+    if (name === 'labels') return Array.isArray(st.labels?.items) ? st.labels.items : [];
+    if (name === 'tasks') return Array.isArray(st.tasks) ? st.tasks : [];
+    return [];
+  }
+
+  // Everything except the record collections.
+  function idbProfileRecord(st) {
+    const { sessions, tasks, labels, ...rest } = st;
+    const { items, ...labelPrefs } = labels || {};
+    return { ...rest, labels: labelPrefs };
+  }
+
+  function idbReadState() {
+    return new Promise((resolve, reject) => {
+      const tx = idb.db.transaction(['profile', ...IDB_RECORD_STORES], 'readonly');
+      const profileReq = tx.objectStore('profile').get('state');
+      const recordReqs = IDB_RECORD_STORES.map(name => tx.objectStore(name).getAll());
+
+      tx.oncomplete = () => {
+        const profile = profileReq.result;
+        if (!profile || typeof profile !== 'object') {
+          resolve(null);
+          return;
+        }
+        const [sessions, labels, tasks] = recordReqs.map(r => r.result || []);
+
+        idb.lastProfileJson = JSON.stringify(profile);
+        IDB_RECORD_STORES.forEach((name, i) => {
+          const written = idb.written[name];
+          written.clear();
+          for (const rec of recordReqs[i].result || []) written.set(String(rec.id), JSON.stringify(rec));
+        });
+
+        // Object stores return records in key order; restore the order the app expects.
+        sessions.sort((a, b) => Number(b.endTs || 0) - Number(a.endTs || 0));
+        labels.sort((a, b) => Number(a.createdTs || 0) - Number(b.createdTs || 0));
+        tasks.sort((a, b) => Number(b.createdTs || 0) - Number(a.createdTs || 0));
+
+        resolve({ ...profile, sessions, tasks, labels: { ...(profile.labels || {}), items: labels } });
+      };
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function idbWriteState(st) {
+    return new Promise((resolve, reject) => {
+      const tx = idb.db.transaction(['profile', ...IDB_RECORD_STORES], 'readwrite');
+      const rewrite = idb.rewrite;
+      idb.rewrite = false;
+
+      const profile = idbProfileRecord(st);
+      const profileJson = JSON.stringify(profile);
+      if (rewrite || profileJson !== idb.lastProfileJson) {
+        tx.objectStore('profile').put(JSON.parse(profileJson), 'state');
+        idb.lastProfileJson = profileJson;
+      }
+
+      for (const name of IDB_RECORD_STORES) {
+        const store = tx.objectStore(name);
+        const written = idb.written[name];
+        if (rewrite) {
+          store.clear();
+          written.clear();
+        }
+
+        const seen = new Set();
+        for (const rec of idbRecordsOf(st, name)) {
+          if (!rec || typeof rec !== 'object') continue;
+          // hydrateState() and the code that creates records give each one an id
+          const id = String(rec.id ?? '');
+          if (!id || seen.has(id)) continue;
+          seen.add(id);
+
+          const json = JSON.stringify(rec);
+          if (written.get(id) === json) continue;
+          store.put({ ...JSON.parse(json), id });
+          written.set(id, json);
+        }
+
+        for (const id of Array.from(written.keys())) {
+          if (seen.has(id)) continue;
+          store.delete(id);
+          written.delete(id);
+        }
+      }
+
+      tx.oncomplete = () => resolve();
+      const fail = () => {
+        // The diff caches no longer match the database; rewrite everything next time.
+        idb.rewrite = true;
+        reject(tx.error || new Error('IndexedDB write failed'));
+      };
+      tx.onerror = fail;
+      tx.onabort = fail;
+    });
+  }
+
+  function idbQueueWrite() {
+    if (idb.flushTimer) return;
+    idb.flushTimer = setTimeout(idbFlush, 150);
+  }
+
+  function idbFlush() {
+    if (idb.flushTimer) clearTimeout(idb.flushTimer);
+    idb.flushTimer = null;
+    if (!idb.ready) return Promise.resolve();
+    return idbWriteState(state).catch(e => console.warn('IndexedDB save failed', e));
+  }
+
+  // Switches persistence to IndexedDB when possible. A localStorage blob that is
+  // still present means localStorage was the active backend last time (first run,
+  // or IndexedDB was unavailable), so it is the newest copy and gets migrated.
+  async function idbInit() {
+    try {
+      idb.db = await idbOpen();
+    } catch (e) {
+      console.warn('IndexedDB unavailable; using localStorage', e);
+      return false;
+    }
+
+    try {
+      const raw = storage.getItem(STORAGE_KEY);
+      if (raw && safeParseJson(raw).ok) {
+        idb.rewrite = true;
+        await idbWriteState(state);
+        storage.removeItem(STORAGE_KEY);
+      } else {
+        const stored = await idbReadState();
+        if (stored) state = hydrateState(stored);
+      }
+    } catch (e) {
+      console.warn('IndexedDB load failed; using localStorage', e);
+      idb.db = null;
+      return false;
+    }
+
+    idb.ready = true;
+    window.addEventListener('pagehide', idbFlush);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') idbFlush();
+    });
+    return true;
+  }
+
 
 
 // ─────────────────────────────────────────────────────────────
-// Supabase (Auth + Sync) — client-side only (SAFE: anon/publishable key)
-// Never use service role keys in the browser.
+// Sync (Auth + Sync) — client-side only. The backend is a sync provider
+// (see SyncProvider below): Supabase by default, or a self-hosted REST server.
 //
-// Configure by creating `supabase-config.js` (see supabase-config.example.js)
-// which sets:
+// Supabase: create `supabase-config.js` (see supabase-config.example.js)
+// which sets (SAFE: anon/publishable key; never a service role key):
 //   window.BLOOMORA_SUPABASE_URL
 //   window.BLOOMORA_SUPABASE_ANON_KEY   (or publishable key)
+// REST: set window.BLOOMORA_SYNC_PROVIDER = 'rest' and
+//   window.BLOOMORA_REST_URL (API documented in README.md, reference
+//   implementation in rest-sync-server.js).
+// Any object implementing SyncProvider can also be assigned to
+// window.BLOOMORA_SYNC_PROVIDER directly.
 const SUPABASE_URL = (window.BLOOMORA_SUPABASE_URL || '').trim();
 const SUPABASE_ANON_KEY = (window.BLOOMORA_SUPABASE_ANON_KEY || '').trim();
+const REST_SYNC_URL = (window.BLOOMORA_REST_URL || '').trim();
 const SYNC_META_KEY = 'bloomora_sync_meta_v1'; // localStorage meta (last sync time, etc.)
-
-/** @type {{client:any, user:any, syncing:boolean, lastSyncMs:number, ready:boolean}} */
+const REST_SESSION_KEY = 'bloomora_rest_session_v1';
+
+/**
+ * What fullSync() and the outbox need from a backend. Rows use the column
+ * names of supabase_schema.sql; the server owns user_id and updated_at.
+ *
+ * @typedef {Object} SyncProvider
+ * @property {string} name
+ * @property {Object} auth  supabase-js style: getSession, onAuthStateChange,
+ *   signInWithPassword, signUp, signOut. Optional (their buttons hide when
+ *   missing): signInWithOtp, signInWithOAuth, resetPasswordForEmail, updateUser.
+ * @property {(table:string, opts?:{since?:string}) => Promise<{data:?Object[], error:any}>} pull
+ *   The user's rows, or only those with updated_at at or after `since`.
+ * @property {(table:string, rows:Object[]) => Promise<{error:any}>} upsert
+ *   Insert or replace by the table's key (SYNC_TABLE_KEYS).
+ * @property {(table:string, ids:?string[], at:string) => Promise<{error:any}>} tombstone
+ *   Set deleted_at = at on those keys; ids = null means every live session that ended before `at`.
+ * @property {(table:string, ids:?string[]) => Promise<{error:any}>} remove
+ *   Hard delete those keys; ids = null deletes all of the user's rows.
+ * @property {(name:string) => Object} [channel]  realtime channel (see sbRealtimeUpdate)
+ */
+
+// Key of each synced table, besides the owning user.
+const SYNC_TABLE_KEYS = { profiles: 'id', labels: 'local_id', sessions: 'client_id', tasks: 'local_id', habits: 'local_id' };
+const SB_PAGE_SIZE = 1000; // PostgREST's default row limit per request
+// Delta pulls reach this far behind the high-water mark: a transaction that
+// commits late can write updated_at values older than rows already pulled.
+const SYNC_PULL_OVERLAP_MS = 5 * 60 * 1000;
+
+/** @type {{provider:?SyncProvider, user:any, syncing:boolean, lastSyncMs:number, ready:boolean}} */
 const sb = {
-  client: null,
+  provider: null,
   user: null,
   syncing: false,
   lastSyncMs: 0,
   ready: false,
   // one-shot flag used after importing a backup: push local to cloud without pulling remote first
   forcePushOnce: false,
-  // label deletions to apply remotely on next sync
-  deletedLabelIds: [],
+  // pending remote deletes, flushed in order at the start of each sync (see sbEnqueue)
+  outbox: [],
+  // failed syncs are retried with exponential backoff
+  retryAttempt: 0,
+  retryAtMs: 0,
+  runErrors: [],
+  // delta sync: local change log + server updated_at high-water marks
+  dirtySessionIds: [],
+  dirtyLabelIds: [],
+  dirtyTaskIds: [],
+  dirtyHabitIds: [],
+  dirtyDuringSync: new Set(),
+  pushedProfileHash: '',
+  highWater: { profiles: '', labels: '', sessions: '', tasks: '', habits: '' },
+  syncUserId: '',
+  resyncQueued: false,
+  // shown in the account modal after settings conflicts were auto-resolved
+  lastConflictNote: '',
+  // live postgres_changes subscription for the signed-in user (see sbRealtimeUpdate)
+  realtime: null,
+  realtimeUserId: '',
+  // signed-out account modal message: { kind: 'magic'|'reset'|'error', text }
+  authNotice: null,
+  // an auth redirect (OAuth, magic link, reset link) is being exchanged for a session
+  authRedirect: false,
+  // signed in through a password reset link; the modal asks for a new password
+  recovery: false,
 };
 
+function createSupabaseSyncProvider() {
+  const createClient = window.supabase.createClient || window.supabase;
+  const client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
+    auth: {
+      persistSession: true,
+      autoRefreshToken: true,
+      detectSessionInUrl: true,
+      // redirects come back as ?code=…, which leaves the #/route hash alone
+      flowType: 'pkce',
+    }
+  });
+  const own = (q, table) => q.eq(table === 'profiles' ? 'id' : 'user_id', sb.user.id);
+
+  return {
+    name: 'supabase',
+    auth: client.auth,
+    channel: (name) => client.channel(name),
+    async pull(table, { since = '' } = {}) {
+      const out = [];
+      for (let from = 0; ; from += SB_PAGE_SIZE) {
+        let q = own(client.from(table).select('*'), table);
+        if (since) q = q.gte('updated_at', since);
+        const { data, error } = await q.order('id', { ascending: true }).range(from, from + SB_PAGE_SIZE - 1);
+        if (error) return { data: null, error };
+        out.push(...(data || []));
+        if (!data || data.length < SB_PAGE_SIZE) return { data: out, error: null };
+      }
+    },
+    upsert(table, rows) {
+      const onConflict = table === 'profiles' ? 'id' : `user_id,${SYNC_TABLE_KEYS[table]}`;
+      return client.from(table).upsert(rows, { onConflict });
+    },
+    tombstone(table, ids, at) {
+      const q = own(client.from(table).update({ deleted_at: at }), table);
+      return ids ? q.in(SYNC_TABLE_KEYS[table], ids) : q.is('deleted_at', null).lt('ended_at', at);
+    },
+    remove(table, ids) {
+      const q = own(client.from(table).delete(), table);
+      return ids ? q.in(SYNC_TABLE_KEYS[table], ids) : q;
+    },
+  };
+}
+
+// Self-hosted backend over plain JSON; see README.md ("Self-hosted sync").
+// Password auth only; the bearer token is kept in localStorage.
+function createRestSyncProvider(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const stored = safeParseJson(storage.getItem(REST_SESSION_KEY));
+  let session = (stored.ok && stored.value && stored.value.token) ? stored.value : null;
+  const listeners = new Set();
+
+  function setSession(next, event) {
+    session = next;
+    if (next) storage.setItem(REST_SESSION_KEY, JSON.stringify(next));
+    else storage.removeItem(REST_SESSION_KEY);
+    listeners.forEach(fn => fn(event, next));
+  }
+
+  async function call(method, path, body) {
+    try {
+      const res = await fetch(base + path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(session ? { Authorization: `Bearer ${session.token}` } : {}),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      const json = res.status === 204 ? {} : await res.json().catch(() => ({}));
+      if (!res.ok) {
+        if (res.status === 401 && session) setSession(null, 'SIGNED_OUT');
+        return { data: null, error: { message: json.error || `HTTP ${res.status}`, status: res.status } };
+      }
+      return { data: json, error: null };
+    } catch (e) {
+      return { data: null, error: { message: e?.message || 'Network error' } };
+    }
+  }
+
+  async function signIn(path, email, password) {
+    const { data, error } = await call('POST', path, { email, password });
+    if (error) return { data: null, error };
+    setSession({ token: String(data.token), user: data.user }, 'SIGNED_IN');
+    return { data: { session, user: session.user }, error: null };
+  }
+
+  return {
+    name: 'rest',
+    auth: {
+      async getSession() {
+        // an expired token comes back 401 and signs out; offline keeps the session
+        if (session) await call('GET', '/auth/session');
+        return { data: { session }, error: null };
+      },
+      onAuthStateChange(fn) {
+        listeners.add(fn);
+        return { data: { subscription: { unsubscribe: () => listeners.delete(fn) } } };
+      },
+      signInWithPassword: ({ email, password }) => signIn('/auth/login', email, password),
+      signUp: ({ email, password }) => signIn('/auth/signup', email, password),
+      async signOut() {
+        if (session) await call('POST', '/auth/logout');
+        setSession(null, 'SIGNED_OUT');
+        return { error: null };
+      },
+    },
+    async pull(table, { since = '' } = {}) {
+      const { data, error } = await call('GET', `/tables/${table}` + (since ? `?since=${encodeURIComponent(since)}` : ''));
+      return { data: error ? null : (data.rows || []), error };
+    },
+    upsert: (table, rows) => call('POST', `/tables/${table}/upsert`, { rows }),
+    tombstone: (table, ids, at) => call('POST', `/tables/${table}/tombstone`, { ids, at }),
+    remove: (table, ids) => call('POST', `/tables/${table}/delete`, { ids }),
+  };
+}
+
+function sbCreateProvider() {
+  const choice = window.BLOOMORA_SYNC_PROVIDER;
+  if (choice && typeof choice === 'object') return choice;
+  if (choice === 'rest') return REST_SYNC_URL ? createRestSyncProvider(REST_SYNC_URL) : null;
+  if (!window.supabase || !SUPABASE_URL || !SUPABASE_ANON_KEY) return null;
+  return createSupabaseSyncProvider();
+}
+
 function sbInit() {
   try {
-    if (!window.supabase || !SUPABASE_URL || !SUPABASE_ANON_KEY) return false;
-
-    const createClient = window.supabase.createClient || window.supabase;
-    sb.client = createClient(SUPABASE_URL, SUPABASE_ANON_KEY, {
-      auth: {
-        persistSession: true,
-        autoRefreshToken: true,
-        detectSessionInUrl: true,
-      }
-    });
+    // read before the client consumes the redirect parameters
+    const redirect = sbReadAuthRedirect();
+
+    sb.provider = sbCreateProvider();
+    if (!sb.provider) return false;
 
     sb.ready = true;
+    sb.authRedirect = redirect.pending;
+    if (redirect.error) {
+      sb.authNotice = { kind: 'error', text: redirect.error };
+      sbClearAuthRedirect();
+    }
 
     // restore last sync time
     const metaRaw = storage.getItem(SYNC_META_KEY);
@@ -90,42 +465,121 @@ function sbInit() {
     if (meta.ok && meta.value) {
       if (typeof meta.value.lastSyncMs === 'number') sb.lastSyncMs = meta.value.lastSyncMs;
       if (meta.value.forcePushOnce === true) sb.forcePushOnce = true;
-      if (Array.isArray(meta.value.deletedLabelIds)) sb.deletedLabelIds = meta.value.deletedLabelIds.map(String);
+      if (Array.isArray(meta.value.outbox)) sb.outbox = meta.value.outbox.filter(op => op && SB_OUTBOX_OPS[op.op]);
+      // older builds kept separate delete queues
+      if (Array.isArray(meta.value.deletedLabelIds) && meta.value.deletedLabelIds.length) {
+        sb.outbox.push({ op: 'deleteLabels', ids: meta.value.deletedLabelIds.map(String), at: new Date().toISOString() });
+      }
+      if (Array.isArray(meta.value.deletedSessionIds) && meta.value.deletedSessionIds.length) {
+        sb.outbox.push({ op: 'tombstoneSessions', ids: meta.value.deletedSessionIds.map(String), at: new Date().toISOString() });
+      }
+      if (Array.isArray(meta.value.dirtySessionIds)) sb.dirtySessionIds = meta.value.dirtySessionIds.map(String);
+      if (Array.isArray(meta.value.dirtyLabelIds)) sb.dirtyLabelIds = meta.value.dirtyLabelIds.map(String);
+      if (Array.isArray(meta.value.dirtyTaskIds)) sb.dirtyTaskIds = meta.value.dirtyTaskIds.map(String);
+      if (Array.isArray(meta.value.dirtyHabitIds)) sb.dirtyHabitIds = meta.value.dirtyHabitIds.map(String);
+      if (typeof meta.value.pushedProfileHash === 'string') sb.pushedProfileHash = meta.value.pushedProfileHash;
+      if (meta.value.highWater && typeof meta.value.highWater === 'object') sb.highWater = { ...sb.highWater, ...meta.value.highWater };
+      if (typeof meta.value.syncUserId === 'string') sb.syncUserId = meta.value.syncUserId;
+      if (typeof meta.value.lastConflictNote === 'string') sb.lastConflictNote = meta.value.lastConflictNote;
     }
 
-    sb.client.auth.getSession().then(({ data }) => {
+    sb.provider.auth.getSession().then(({ data, error }) => {
       sb.user = data?.session?.user || null;
+      if (sb.authRedirect) {
+        sb.authRedirect = false;
+        sbClearAuthRedirect();
+        if (error) sb.authNotice = { kind: 'error', text: error.message || String(error) };
+        else if (sb.user && !sb.recovery) toast('Signed in', 'Sync is now enabled.');
+      }
+      if (sb.user) sb.authNotice = null;
       renderAuthUi();
+      sbRealtimeUpdate();
       if (sb.user) queueSyncSoon(50);
     });
 
-    sb.client.auth.onAuthStateChange((_event, session) => {
+    sb.provider.auth.onAuthStateChange((event, session) => {
       sb.user = session?.user || null;
+      if (event === 'PASSWORD_RECOVERY') {
+        sb.recovery = true;
+        openAccountModal();
+      } else if (event === 'SIGNED_OUT') {
+        sb.recovery = false;
+      }
+      if (sb.user) sb.authNotice = null;
       renderAuthUi();
+      sbRealtimeUpdate();
       if (sb.user) queueSyncSoon(50);
     });
 
+    // Flush the outbox as soon as the connection is back.
+    window.addEventListener('online', () => {
+      sb.retryAttempt = 0;
+      renderAuthUi();
+      sbRetryNow();
+    });
+    window.addEventListener('offline', renderAuthUi);
+
     return true;
   } catch (e) {
     console.warn('Supabase init failed', e);
     sb.ready = false;
-    sb.client = null;
+    sb.provider = null;
     sb.user = null;
     return false;
   }
 }
 
+// OAuth, magic-link and reset-link redirects land with ?code=… (or, from
+// older implicit-flow links, #access_token=…); errors come back the same way.
+function sbReadAuthRedirect() {
+  const q = new URLSearchParams(location.search);
+  const h = new URLSearchParams(location.hash.replace(/^#/, ''));
+  const error = q.get('error_description') || h.get('error_description') || q.get('error') || h.get('error') || '';
+  return { pending: q.has('code') || h.has('access_token'), error };
+}
+
+// Drop the auth parameters so a reload doesn't replay them, and go back to a real route.
+function sbClearAuthRedirect() {
+  try {
+    history.replaceState(null, '', location.pathname + '#/dashboard');
+    renderRoute();
+  } catch (e) {
+    console.warn('Could not clean auth redirect URL', e);
+  }
+}
+
+// Where OAuth and email links send the browser back to (this page, no route).
+function sbAuthRedirectUrl() {
+  return location.origin + location.pathname;
+}
+
 function sbSaveMeta() {
   try {
-    storage.setItem(SYNC_META_KEY, JSON.stringify({ lastSyncMs: sb.lastSyncMs, forcePushOnce: sb.forcePushOnce, deletedLabelIds: sb.deletedLabelIds }));
+    storage.setItem(SYNC_META_KEY, JSON.stringify({
+      lastSyncMs: sb.lastSyncMs,
+      forcePushOnce: sb.forcePushOnce,
+      outbox: sb.outbox,
+      dirtySessionIds: sb.dirtySessionIds,
+      dirtyLabelIds: sb.dirtyLabelIds,
+      dirtyTaskIds: sb.dirtyTaskIds,
+      dirtyHabitIds: sb.dirtyHabitIds,
+      pushedProfileHash: sb.pushedProfileHash,
+      highWater: sb.highWater,
+      syncUserId: sb.syncUserId,
+      lastConflictNote: sb.lastConflictNote,
+    }));
   } catch {}
 }
 
 function sbSignedIn() {
-  return !!(sb.ready && sb.client && sb.user);
+  return !!(sb.ready && sb.provider && sb.user);
 }
 
-function setSyncStatus(pillText, detailText, kind='muted') {
+function setSyncStatus(pillText, detailText, kind='muted', pending=0) {
+  if (pending > 0) {
+    pillText = `${pillText} · ${pending}`;
+    detailText = `${detailText || ''} • ${pending} change${pending === 1 ? '' : 's'} waiting to sync`;
+  }
   const pill = document.getElementById('syncStatusPill');
   const txt = document.getElementById('syncStatusText');
   const apill = document.getElementById('accountSyncPill');
@@ -149,16 +603,36 @@ function renderAuthUi() {
   const aso = document.getElementById('accountSignedOut');
   const asi = document.getElementById('accountSignedIn');
   const aEmailLabel = document.getElementById('accountEmailLabel');
+  const notice = document.getElementById('accountAuthNotice');
+  const recovery = document.getElementById('accountRecovery');
+
+  if (notice) {
+    notice.textContent = sb.authNotice ? sb.authNotice.text : '';
+    notice.classList.toggle('hidden', !sb.authNotice);
+  }
+  if (recovery) recovery.classList.toggle('hidden', !(sb.recovery && sb.user));
+
+  // sign-in options the sync provider doesn't offer are hidden
+  const auth = sb.provider?.auth || {};
+  const offer = (sel, method) => $$(sel).forEach(el => el.classList.toggle('hidden', typeof auth[method] !== 'function'));
+  offer('#accountMagicLinkBtn, #accountMagicLinkHint', 'signInWithOtp');
+  offer('[data-oauth-provider]', 'signInWithOAuth');
+  offer('#accountResetBtn', 'resetPasswordForEmail');
 
   if (!sb.ready) {
-    setSyncStatus('Unavailable', 'Supabase is not configured.', 'warn');
+    setSyncStatus('Unavailable', 'Sync is not configured.', 'warn');
     if (aso) aso.classList.remove('hidden');
     if (asi) asi.classList.add('hidden');
     return;
   }
 
   if (!sb.user) {
-    setSyncStatus('Offline', 'Sign in to sync your progress across devices.', 'muted');
+    const n = sb.authNotice;
+    if (sb.authRedirect) setSyncStatus('Signing in', 'Finishing sign-in…', 'warn');
+    else if (n && n.kind === 'magic') setSyncStatus('Check your inbox', 'Open the sign-in link we emailed you on this device.', 'warn');
+    else if (n && n.kind === 'reset') setSyncStatus('Check your inbox', 'Open the password reset link we emailed you.', 'warn');
+    else if (n && n.kind === 'error') setSyncStatus('Sign-in failed', 'Try again, or use another sign-in option.', 'warn');
+    else setSyncStatus('Offline', 'Sign in to sync your progress across devices.', 'muted');
     if (aso) aso.classList.remove('hidden');
     if (asi) asi.classList.add('hidden');
     return;
@@ -170,30 +644,85 @@ function renderAuthUi() {
   if (aso) aso.classList.add('hidden');
   if (asi) asi.classList.remove('hidden');
 
+  const conflictEl = document.getElementById('accountConflictNote');
+  if (conflictEl) {
+    conflictEl.textContent = sb.lastConflictNote ? `Last auto-resolved conflict: ${sb.lastConflictNote}` : '';
+    conflictEl.classList.toggle('hidden', !sb.lastConflictNote);
+  }
+
   const last = sb.lastSyncMs ? new Date(sb.lastSyncMs).toLocaleString() : 'Never';
-  setSyncStatus(sb.syncing ? 'Syncing' : 'Online',
-    sb.syncing ? 'Syncing…' : ('Last sync: ' + last),
-    sb.syncing ? 'warn' : 'ok'
-  );
+  const pending = sbPendingCount();
+  if (sb.recovery) {
+    setSyncStatus('Set a password', 'You signed in with a reset link. Choose a new password below.', 'warn', pending);
+  } else if (navigator.onLine === false) {
+    setSyncStatus('Offline', 'No connection. Changes sync when you are back online.', 'warn', pending);
+  } else if (sb.syncing) {
+    setSyncStatus('Syncing', 'Syncing…', 'warn', pending);
+  } else if (sb.retryAttempt > 0) {
+    const secs = Math.max(1, Math.round((sb.retryAtMs - Date.now()) / 1000));
+    setSyncStatus('Retrying', `Last sync failed; retrying in ${secs}s. Last sync: ${last}`, 'warn', pending);
+  } else {
+    setSyncStatus('Online', 'Last sync: ' + last, 'ok', pending);
+  }
 }
 
   async function authSignIn(email, password) {
-  if (!sb.ready) return toast('Sync unavailable', 'Supabase is not ready.');
-  const { error } = await sb.client.auth.signInWithPassword({ email, password });
+  if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+  const { error } = await sb.provider.auth.signInWithPassword({ email, password });
   if (error) toast('Sign in failed', error.message || String(error));
   else toast('Signed in', 'Sync is now enabled.');
 }
 
 async function authSignUp(email, password) {
-  if (!sb.ready) return toast('Sync unavailable', 'Supabase is not ready.');
-  const { error } = await sb.client.auth.signUp({ email, password });
+  if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+  const { error } = await sb.provider.auth.signUp({ email, password });
   if (error) toast('Sign up failed', error.message || String(error));
   else toast('Account created', 'Check your email if confirmation is enabled, then sign in.');
 }
 
 async function authSignOut() {
   if (!sb.ready) return;
-  await sb.client.auth.signOut();
+  await sb.provider.auth.signOut();
+}
+
+async function authSendMagicLink(email) {
+  if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+  const { error } = await sb.provider.auth.signInWithOtp({ email, options: { emailRedirectTo: sbAuthRedirectUrl() } });
+  if (error) {
+    sb.authNotice = { kind: 'error', text: error.message || String(error) };
+    toast('Sign-in link failed', error.message || String(error));
+  } else {
+    sb.authNotice = { kind: 'magic', text: `Check your inbox: we sent a sign-in link to ${email}.` };
+  }
+  renderAuthUi();
+}
+
+// Leaves the page for the provider; the session arrives with the redirect back (see sbInit).
+async function authSignInWithOAuth(provider) {
+  if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+  const { error } = await sb.provider.auth.signInWithOAuth({ provider, options: { redirectTo: sbAuthRedirectUrl() } });
+  if (error) toast('Sign in failed', error.message || String(error));
+}
+
+async function authSendPasswordReset(email) {
+  if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+  const { error } = await sb.provider.auth.resetPasswordForEmail(email, { redirectTo: sbAuthRedirectUrl() });
+  if (error) {
+    sb.authNotice = { kind: 'error', text: error.message || String(error) };
+    toast('Reset failed', error.message || String(error));
+  } else {
+    sb.authNotice = { kind: 'reset', text: `Check your inbox: we sent a password reset link to ${email}.` };
+  }
+  renderAuthUi();
+}
+
+async function authSetNewPassword(password) {
+  if (!sbSignedIn()) return;
+  const { error } = await sb.provider.auth.updateUser({ password });
+  if (error) return toast('Password not saved', error.message || String(error));
+  sb.recovery = false;
+  renderAuthUi();
+  toast('Password updated', 'Use it next time you sign in.');
 }
 
   function ensureClientIds() {
@@ -221,6 +750,7 @@ async function authSignOut() {
       label_name: String(s.label || ''),
       source: String(s.method || ''),
       reward_mode: String(s.rewardMode || ''),
+      pauses: s.pauses?.length ? s.pauses : null,
       updated_at: new Date().toISOString(),
     };
   }
@@ -228,7 +758,7 @@ async function authSignOut() {
   function rowToLocalSession(r) {
     const startTs = r.started_at ? Date.parse(r.started_at) : null;
     const endTs = r.ended_at ? Date.parse(r.ended_at) : null;
-    return {
+    const s = {
       id: String(r.client_id),
       clientId: String(r.client_id),
       startTs: startTs || (endTs ? (endTs - Number(r.duration_sec||0)*1000) : now()),
@@ -237,7 +767,11 @@ async function authSignOut() {
       method: String(r.source || 'manual'),
       rewardMode: String(r.reward_mode || state.ui.worldView || 'island'),
       label: String(r.label_name || ''),
+      updatedTs: r.updated_at ? Date.parse(r.updated_at) : 0,
     };
+    const pauses = normalizeSessionPauses(r.pauses, s.startTs, s.endTs);
+    if (pauses.length) s.pauses = pauses;
+    return s;
   }
 
   function localLabelToRow(l) {
@@ -262,6 +796,44 @@ async function authSignOut() {
     };
   }
 
+  function localTaskToRow(t) {
+    return {
+      local_id: String(t.id),
+      user_id: sb.user.id,
+      text: String(t.text || ''),
+      description: String(t.desc || ''),
+      label_id: String(t.labelId || ''),
+      done: !!t.done,
+      created_ts: t.createdTs ? new Date(t.createdTs).toISOString() : new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function rowToLocalTask(r) {
+    return {
+      id: String(r.local_id),
+      text: String(r.text || ''),
+      desc: String(r.description || ''),
+      labelId: String(r.label_id || ''),
+      done: !!r.done,
+      createdTs: r.created_ts ? Date.parse(r.created_ts) : now(),
+    };
+  }
+
+  // Habit items are stored whole; their completions sync with the profile settings.
+  function localHabitToRow(h) {
+    return {
+      local_id: String(h.id),
+      user_id: sb.user.id,
+      data: h,
+      updated_at: new Date().toISOString(),
+    };
+  }
+
+  function rowToLocalHabit(r) {
+    return { ...(r.data && typeof r.data === 'object' ? r.data : {}), id: String(r.local_id) };
+  }
+
   function localProfileToRow() {
     const p = state.profile || {};
     return {
@@ -278,191 +850,874 @@ async function authSignOut() {
       garden_growth_sec: Number(state.garden?.growthSec || 0),
       garden_tree_type: String(state.garden?.treeType || 'Apple'),
       garden_harvested_on_tree: Number(state.garden?.harvestedOnThisTree || 0),
+      garden_planted_ts: Number(state.garden?.plantedTs || 0),
       fruit_collection: state.fruitCollection || {},
+      field_updated_at: state.fieldTs || {},
+      settings: {
+        ...Object.fromEntries(SYNC_FIELDS.filter(f => f.inSettings).map(f => [f.key, f.local()])),
+        statsResetTs: Number(p.statsResetTs || 0),
+      },
 
       updated_at: new Date().toISOString(),
     };
   }
 
-  function applyProfileRow(r) {
-    if (!r) return;
-    state.profile.name = String(r.display_name || state.profile.name || 'Student');
-    state.profile.weeklyGoalHours = Number(r.weekly_goal_hours ?? state.profile.weeklyGoalHours ?? 10);
-    state.profile.theme = String(r.theme || state.profile.theme || 'midnight');
+  // Settings that sync per field. Each device stamps state.fieldTs[key] when
+  // the value changes locally; on sync the newer stamp wins field by field.
+  // Progression (xp/growth) is not in here: it is reconciled from sessions.
+  const SYNC_FIELDS = [
+    { key: 'name', label: 'Display name',
+      local: () => String(state.profile.name || 'Student'),
+      remote: (r) => (r.display_name == null ? undefined : String(r.display_name || 'Student')),
+      apply: (v) => { state.profile.name = v; } },
+    { key: 'weeklyGoalHours', label: 'Weekly goal',
+      local: () => Number(state.profile.weeklyGoalHours ?? 10),
+      remote: (r) => (r.weekly_goal_hours == null ? undefined : Number(r.weekly_goal_hours)),
+      apply: (v) => { state.profile.weeklyGoalHours = v; } },
+    { key: 'theme', label: 'Theme',
+      local: () => String(state.profile.theme || 'midnight'),
+      remote: (r) => (r.theme == null ? undefined : String(r.theme || 'midnight')),
+      apply: (v) => { state.profile.theme = v; applyTheme(v); } },
+    { key: 'stopwatchCap', label: 'Stopwatch cap',
+      local: () => ({ on: state.profile.stopwatchCapOn !== false, hours: Number(state.profile.stopwatchCapHours ?? 6) }),
+      remote: (r) => (r.stopwatch_cap_hours == null ? undefined : { on: r.stopwatch_cap_on !== false, hours: clamp(Number(r.stopwatch_cap_hours), 1, 24) }),
+      apply: (v) => { state.profile.stopwatchCapOn = v.on; state.profile.stopwatchCapHours = v.hours; } },
+    { key: 'sessionAmbient', label: 'Session sound',
+      local: () => ({ type: String(state.profile.sessionAmbient?.type || 'off'), volume: Number(state.profile.sessionAmbient?.volume ?? 0.4) }),
+      remote: (r) => (r.session_ambient_type == null ? undefined : { type: String(r.session_ambient_type || 'off'), volume: clamp01(Number(r.session_ambient_volume ?? 0.4)) }),
+      apply: (v) => { state.profile.sessionAmbient = { ...v }; } },
+    { key: 'gardenTree', label: 'Garden tree',
+      local: () => ({ treeType: String(state.garden.treeType || 'Apple'), plantedTs: Number(state.garden.plantedTs || 0) }),
+      remote: (r) => (r.garden_tree_type == null ? undefined : { treeType: String(r.garden_tree_type || 'Apple'), plantedTs: Number(r.garden_planted_ts || 0) }),
+      apply: (v) => { state.garden.treeType = v.treeType; state.garden.plantedTs = v.plantedTs; } },
+    // the rest travel in the profiles.settings jsonb column
+    settingsField('pomodoro', 'Pomodoro profiles',
+      () => normalizePomSettings(state.pomodoro),
+      (v) => normalizePomSettings(v),
+      (v) => { state.pomodoro = { ...state.pomodoro, ...v }; }),
+    settingsField('flowtimeRatio', 'Flowtime break ratio',
+      () => normalizeFlowtimeRatio(state.profile.flowtimeRatio),
+      (v) => normalizeFlowtimeRatio(v),
+      (v) => { state.profile.flowtimeRatio = v; if ($('#ftRatio')) $('#ftRatio').value = String(v); }),
+    settingsField('timerPresets', 'Timer presets',
+      () => normalizeTimerPresets(state.timerPresets),
+      (v) => normalizeTimerPresets(v),
+      (v) => { state.timerPresets = v; renderTimerPresets(); }),
+    // volumes and video options only; which sounds are playing stays per device
+    settingsField('audio', 'Sound settings',
+      () => syncedAudioSettings(state.audio),
+      (v) => syncedAudioSettings(v),
+      (v) => { applySyncedAudioSettings(v); }),
+    settingsField('backgroundChoice', 'Background',
+      () => String(state.profile.backgroundChoice || 'black'),
+      // a custom image never leaves the device it was picked on
+      (v) => (v === 'custom' && !storage.getItem(CUSTOM_BG_KEY) ? undefined : String(v || 'black')),
+      (v) => { state.profile.backgroundChoice = v; applyBackgroundImage(); }),
+    settingsField('habitCompletions', 'Habit check-ins',
+      () => state.habits.completions || {},
+      (v) => (v && typeof v === 'object' ? v : undefined),
+      (v) => { state.habits.completions = v; }),
+  ];
 
-    state.profile.stopwatchCapOn = (r.stopwatch_cap_on !== false);
-    state.profile.stopwatchCapHours = clamp(Number(r.stopwatch_cap_hours ?? state.profile.stopwatchCapHours ?? 6), 1, 24);
+  function settingsField(key, label, local, fromRemote, apply) {
+    return {
+      key, label, local, apply, inSettings: true,
+      remote: (r) => (r.settings && r.settings[key] != null ? fromRemote(r.settings[key]) : undefined),
+    };
+  }
 
-    state.profile.sessionAmbient = {
-      type: String(r.session_ambient_type || state.profile.sessionAmbient?.type || 'off'),
-      volume: clamp01(Number(r.session_ambient_volume ?? state.profile.sessionAmbient?.volume ?? 0.4)),
+  function syncedAudioSettings(a) {
+    a = a || {};
+    const ambientVol = {};
+    for (const k of AMBIENT_KEYS) ambientVol[k] = clamp01(Number(a.ambient?.[k]?.vol ?? a.ambientVol?.[k] ?? 0.35));
+    return {
+      master: clamp01(Number(a.master ?? 0.6)),
+      ambientVol,
+      lofiVideoId: String(a.lofiVideoId || 'CFGLoQIhmow'),
+      videoBgOn: !!a.videoBgOn,
+      videoBgOpacity: clamp01(Number(a.videoBgOpacity ?? 0.22)),
+      videoOverlayOpacity: clamp01(Number(a.videoOverlayOpacity ?? 0.55)),
+      videoBgBrightness: clamp(Number(a.videoBgBrightness ?? 0.75), 0.5, 1.0),
+      ytVolume: clamp(Number(a.ytVolume ?? 60), 0, 100),
     };
+  }
+
+  function applySyncedAudioSettings(v) {
+    mergeSyncedAudio(state.audio, v);
+    applyAudioState();
+    applyVideoBackground();
+  }
+
+  function mergeSyncedAudio(a, v) {
+    for (const k of AMBIENT_KEYS) a.ambient[k] = { ...a.ambient[k], vol: v.ambientVol[k] };
+    a.master = v.master;
+    a.lofiVideoId = v.lofiVideoId;
+    a.lofiEmbedUrl = lofiEmbedUrlFromId(v.lofiVideoId, 0);
+    a.videoBgOn = v.videoBgOn;
+    a.videoBgOpacity = v.videoBgOpacity;
+    a.videoOverlayOpacity = v.videoOverlayOpacity;
+    a.videoBgBrightness = v.videoBgBrightness;
+    a.ytVolume = v.ytVolume;
+  }
+
+  let syncFieldSnapshot = null;
+
+  function syncFieldValues() {
+    const out = {};
+    for (const f of SYNC_FIELDS) out[f.key] = JSON.stringify(f.local());
+    return out;
+  }
+
+  // Called on boot and after remote values are applied, so only local edits get stamped.
+  function resetSyncFieldSnapshot() {
+    syncFieldSnapshot = syncFieldValues();
+  }
+
+  function stampSyncFields() {
+    if (!syncFieldSnapshot) return;
+    const cur = syncFieldValues();
+    const t = now();
+    let changed = false;
+    for (const key of Object.keys(cur)) {
+      if (cur[key] !== syncFieldSnapshot[key]) { state.fieldTs[key] = t; changed = true; }
+    }
+    syncFieldSnapshot = cur;
+    // settings have no change log of their own; push them shortly after an edit
+    if (changed) queueSyncSoon(1500);
+  }
+
+  // Merge a pulled profile row into local state. `initial` is the first sync
+  // of this account on this device (nothing to compare against yet).
+  // Returns true when the garden tree changed, so growth must be re-derived.
+  function applyProfileRow(r, { initial = false } = {}) {
+    if (!r) return false;
+    const remoteTs = (r.field_updated_at && typeof r.field_updated_at === 'object') ? r.field_updated_at : {};
+    const notes = [];
+    let treeChanged = false;
+    const localTree = { treeType: state.garden.treeType, plantedTs: Number(state.garden.plantedTs || 0) };
+
+    for (const f of SYNC_FIELDS) {
+      const rv = f.remote(r);
+      if (rv === undefined) continue;
+      const lts = Number(state.fieldTs[f.key]) || 0;
+      const rts = Number(remoteTs[f.key]) || 0;
+      if (JSON.stringify(rv) === JSON.stringify(f.local())) {
+        if (rts > lts) state.fieldTs[f.key] = rts;
+        continue;
+      }
+
+      // both sides edited since the last sync: resolved by time, but tell the user
+      const conflict = !initial && lts > sb.lastSyncMs && rts > sb.lastSyncMs;
+      if (rts >= lts) {
+        f.apply(rv);
+        state.fieldTs[f.key] = rts;
+        if (f.key === 'gardenTree') treeChanged = true;
+        if (conflict) notes.push(`${f.label}: used the newer change from another device`);
+      } else if (conflict) {
+        notes.push(`${f.label}: kept the newer change from this device`);
+      }
+    }
+
+    // Harvests only grow: same tree keeps the larger count, a replaced tree takes the remote count.
+    // Reset stats lowers them on purpose, so counts only merge between rows
+    // from the same reset; otherwise the side that reset last wins.
+    const remoteHarvested = Number(r.garden_harvested_on_tree ?? 0);
+    const sameTree = treeChanged || Number(r.garden_planted_ts || 0) === localTree.plantedTs;
+    const remoteFruit = (r.fruit_collection && typeof r.fruit_collection === 'object') ? r.fruit_collection : {};
+    const remoteResetTs = Number(r.settings?.statsResetTs) || 0;
+    const localResetTs = Number(state.profile.statsResetTs) || 0;
+    if (remoteResetTs > localResetTs) {
+      state.profile.statsResetTs = remoteResetTs;
+      if (sameTree) state.garden.harvestedOnThisTree = remoteHarvested;
+      for (const type of Object.keys(state.fruitCollection)) state.fruitCollection[type] = 0;
+      for (const [type, n] of Object.entries(remoteFruit)) state.fruitCollection[type] = Number(n) || 0;
+    } else if (remoteResetTs === localResetTs) {
+      if (treeChanged) state.garden.harvestedOnThisTree = remoteHarvested;
+      else if (sameTree) {
+        state.garden.harvestedOnThisTree = Math.max(Number(state.garden.harvestedOnThisTree || 0), remoteHarvested);
+      }
+      for (const [type, n] of Object.entries(remoteFruit)) {
+        state.fruitCollection[type] = Math.max(Number(state.fruitCollection[type]) || 0, Number(n) || 0);
+      }
+    }
+    // an older row (written before this device's reset) is overwritten by the next push
 
-    state.island.xpSec = Number(r.island_xp_sec ?? state.island.xpSec ?? 0);
-    state.garden.growthSec = Number(r.garden_growth_sec ?? state.garden.growthSec ?? 0);
-    state.garden.treeType = String(r.garden_tree_type || state.garden.treeType || 'Apple');
-    state.garden.harvestedOnThisTree = Number(r.garden_harvested_on_tree ?? state.garden.harvestedOnThisTree ?? 0);
-    if (r.fruit_collection && typeof r.fruit_collection === 'object') {
-      state.fruitCollection = { ...state.fruitCollection, ...r.fruit_collection };
+    resetSyncFieldSnapshot();
+    if (notes.length) {
+      sb.lastConflictNote = `${new Date().toLocaleString()} — ${notes.join('; ')}`;
+      toast('Sync conflict resolved', notes.join(' • '));
     }
+    return treeChanged;
+  }
+
+  // Garden growth counts sessions that ended after the current tree was planted.
+  function gardenGrowthOf(s) {
+    return s && Number(s.endTs || 0) > Number(state.garden.plantedTs || 0) ? Number(s.durationSec || 0) : 0;
+  }
+
+  function gardenGrowthFromSessions() {
+    return (state.sessions || []).reduce((acc, s) => acc + gardenGrowthOf(s), 0);
   }
 
   let syncTimer = null;
   function queueSyncSoon(ms=500) {
     if (!sbSignedIn()) return;
+    // after a failed sync, edits don't cut the retry backoff short (see sbRetryNow)
+    ms = Math.max(ms, sb.retryAtMs - Date.now());
     if (syncTimer) clearTimeout(syncTimer);
     syncTimer = setTimeout(() => {
       syncTimer = null;
-      fullSync().catch(e => {
+      fullSync().then(sbAfterSync, e => {
         console.warn('Sync failed', e);
-        setSyncStatus('Online', 'Sync error (see console).', 'warn');
         sb.syncing = false;
-        renderAuthUi();
+        sbAfterSync(false);
       });
     }, ms);
   }
 
-  async function fullSync() {
-    if (!sbSignedIn() || sb.syncing) return;
-    sb.syncing = true;
-    renderAuthUi();
-
-    ensureClientIds();
-
-    // apply queued remote deletions (labels)
-    if (sb.deletedLabelIds.length) {
-      const del = await sbDeleteLabelsNow(sb.deletedLabelIds);
-      if (del.ok) {
-        sb.deletedLabelIds = [];
-        sbSaveMeta();
-      } else {
-        console.warn(del.error);
-        toast('Sync push failed', 'Labels delete: ' + (del.error?.message || del.error?.details || 'unknown error'));
-      }
-    }
+  // Explicit retries (Sync now, back online) skip the remaining backoff.
+  function sbRetryNow() {
+    sb.retryAtMs = 0;
+    queueSyncSoon(50);
+  }
 
-    const skipPull = sb.forcePushOnce === true;
+  const SYNC_RETRY_BASE_MS = 2000;
+  const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
 
-    if (!skipPull) {
-// 1) Pull remote profile
-    const profRes = await sb.client.from('profiles').select('*').eq('id', sb.user.id).maybeSingle();
-    if (profRes.error) { console.warn(profRes.error); toast('Sync pull failed', 'Profiles: ' + (profRes.error.message || profRes.error.details || 'unknown error')); }
-    if (!profRes.error && profRes.data) {
-      applyProfileRow(profRes.data);
-    }
-
-    // 2) Pull remote labels + sessions (full pull; small data)
-    const lblRes = await sb.client.from('labels').select('*').eq('user_id', sb.user.id);
-    if (lblRes.error) { console.warn(lblRes.error); toast('Sync pull failed', 'Labels: ' + (lblRes.error.message || lblRes.error.details || 'unknown error')); }
-    if (!lblRes.error && Array.isArray(lblRes.data)) {
-      const deleted = new Set((sb.deletedLabelIds || []).map(String));
-      const remoteLabels = lblRes.data.map(rowToLocalLabel).filter(l => !deleted.has(String(l.id)));
-      const byId = new Map((state.labels?.items || []).map(l => [String(l.id), l]));
-      for (const rl of remoteLabels) byId.set(String(rl.id), rl);
-      state.labels.items = Array.from(byId.values());
-    }
-
-    const sesRes = await sb.client.from('sessions').select('*').eq('user_id', sb.user.id).order('ended_at', { ascending: false });
-    if (sesRes.error) { console.warn(sesRes.error); toast('Sync pull failed', 'Sessions: ' + (sesRes.error.message || sesRes.error.details || 'unknown error')); }
-    if (!sesRes.error && Array.isArray(sesRes.data)) {
-      const remoteSessions = sesRes.data.map(rowToLocalSession);
-      const byClient = new Map((state.sessions || []).map(s => [String(s.clientId || s.id), s]));
-      for (const rs of remoteSessions) {
-        const key = String(rs.clientId || rs.id);
-        if (!byClient.has(key)) byClient.set(key, rs);
-      }
-      state.sessions = Array.from(byClient.values()).sort((a,b) => (Number(b.endTs||0) - Number(a.endTs||0)));
+  // ok: true/false for a finished sync; undefined when the run was skipped.
+  function sbAfterSync(ok) {
+    if (ok === undefined) return;
+    if (ok) {
+      sb.retryAttempt = 0;
+      sb.retryAtMs = 0;
+      renderAuthUi();
+      return;
     }
-
-    
+    // offline: the 'online' listener retries instead
+    if (navigator.onLine !== false) {
+      const delay = Math.min(SYNC_RETRY_MAX_MS, SYNC_RETRY_BASE_MS * 2 ** sb.retryAttempt);
+      sb.retryAttempt += 1;
+      sb.retryAtMs = Date.now() + delay;
+      queueSyncSoon(delay);
     }
+    renderAuthUi();
+  }
 
-    // After an import, we do a one-shot push-first sync
-    if (sb.forcePushOnce) { sb.forcePushOnce = false; sbSaveMeta(); }
-
-// 3) Push local profile + labels + sessions
-    { const r = await sb.client.from('profiles').upsert(localProfileToRow(), { onConflict: 'id' }); if (r?.error) { console.warn(r.error); toast('Sync push failed', 'Profiles: ' + (r.error.message || r.error.details || 'unknown error')); } }
-
-    const labelRows = (state.labels?.items || []).map(localLabelToRow);
-    if (labelRows.length) { const r = await sb.client.from('labels').upsert(labelRows, { onConflict: 'user_id,local_id' }); if (r?.error) { console.warn(r.error); toast('Sync push failed', 'Labels: ' + (r.error.message || r.error.details || 'unknown error')); } }
-
-    const sessionRows = (state.sessions || []).map(localSessionToRow);
-    if (sessionRows.length) { const r = await sb.client.from('sessions').upsert(sessionRows, { onConflict: 'user_id,client_id' }); if (r?.error) { console.warn(r.error); toast('Sync push failed', 'Sessions: ' + (r.error.message || r.error.details || 'unknown error')); } }
+  // Records a failed sync step. Only the first failure of a streak toasts;
+  // retries stay quiet and show up in the sync status instead.
+  function sbSyncError(title, what, err) {
+    console.warn(err);
+    sb.runErrors.push(what);
+    if (!sb.retryAttempt) toast(title, what + ': ' + (err?.message || err?.details || 'unknown error'));
+  }
+
+  // Persistent outbox of remote deletes. It lives in SYNC_META_KEY so it
+  // survives reloads, and fullSync() flushes it, oldest first, before pulling.
+  const SB_OUTBOX_OPS = {
+    deleteLabels: (op) => sb.provider.remove('labels', op.ids),
+    // Sessions are never hard-deleted remotely: deleted_at leaves a tombstone
+    // other devices pull, so a stale local copy can't bring the session back.
+    tombstoneSessions: (op) => sb.provider.tombstone('sessions', op.ids, op.at),
+    // only sessions that ended before the reset; later ones (any device) survive
+    tombstoneAllSessions: (op) => sb.provider.tombstone('sessions', null, op.at),
+    tombstoneTasks: (op) => sb.provider.tombstone('tasks', op.ids, op.at),
+  };
 
-    sb.lastSyncMs = Date.now();
+  function sbEnqueue(kind, ids) {
+    if (!sb.ready) return; // local-only: nothing will ever flush it
+    const at = new Date().toISOString();
+    const last = sb.outbox[sb.outbox.length - 1];
+    if (ids) {
+      ids = ids.map(String).filter(Boolean);
+      if (!ids.length) return;
+      if (last && last.op === kind) last.ids = [...new Set([...last.ids, ...ids])];
+      else sb.outbox.push({ op: kind, ids: [...new Set(ids)], at });
+    } else {
+      sb.outbox.push({ op: kind, at });
+    }
     sbSaveMeta();
-
-    saveState();
-    renderAll();
-
-    sb.syncing = false;
     renderAuthUi();
+    queueSyncSoon(250);
   }
 
-  
-  async function sbDeleteLabelsNow(localIds) {
-    if (!sbSignedIn()) return { ok: false };
-    const ids = (localIds || []).map(String).filter(Boolean);
-    if (!ids.length) return { ok: true };
-    try {
-      const r = await sb.client.from('labels').delete().eq('user_id', sb.user.id).in('local_id', ids);
-      if (r?.error) return { ok: false, error: r.error };
-      return { ok: true };
-    } catch (e) { return { ok: false, error: e }; }
+  function sbOutboxIds(kind) {
+    const out = new Set();
+    for (const op of sb.outbox) if (op.op === kind && op.ids) op.ids.forEach(id => out.add(String(id)));
+    return out;
   }
 
-  function sbQueueDeleteLabel(localId) {
-    const id = String(localId);
-    if (!id) return;
-    if (!sb.deletedLabelIds.includes(id)) sb.deletedLabelIds.push(id);
-    sbSaveMeta();
-    // if online, try immediately
-    if (sbSignedIn()) sbDeleteLabelsNow([id]).then(res => {
-      if (res.ok) {
-        sb.deletedLabelIds = sb.deletedLabelIds.filter(x => x !== id);
-        sbSaveMeta();
+  async function sbFlushOutbox() {
+    while (sb.outbox.length) {
+      const op = sb.outbox[0];
+      let r;
+      try { r = await SB_OUTBOX_OPS[op.op](op); } catch (e) { r = { error: e }; }
+      if (r?.error) {
+        sbSyncError('Sync push failed', 'Pending deletes', r.error);
+        return false;
       }
-    });
+      sb.outbox.shift();
+      sbSaveMeta();
+    }
+    return true;
   }
 
-async function sbDeleteSession(clientId) {
-    if (!sbSignedIn()) return;
-    try {
-      await sb.client.from('sessions').delete().eq('user_id', sb.user.id).eq('client_id', String(clientId));
-    } catch (e) { console.warn(e); }
+  function sbPendingCount() {
+    let n = sb.dirtySessionIds.length + sb.dirtyLabelIds.length + sb.dirtyTaskIds.length + sb.dirtyHabitIds.length;
+    for (const op of sb.outbox) n += op.ids ? op.ids.length : 1;
+    return n;
   }
 
-  async function sbDeleteAllSessions() {
-    if (!sbSignedIn()) return;
-    try {
-      await sb.client.from('sessions').delete().eq('user_id', sb.user.id);
-    } catch (e) { console.warn(e); }
+  // Newest server updated_at among rows, as the raw string so no precision is lost.
+  function maxUpdatedAt(rows, prev) {
+    let best = prev || '';
+    for (const r of rows || []) {
+      const v = r && r.updated_at;
+      if (v && (!best || Date.parse(v) > Date.parse(best))) best = String(v);
+    }
+    return best;
   }
 
-  function sbUpsertSoon() {
-    queueSyncSoon(250);
+  // Lower bound for a delta pull: the high-water mark minus SYNC_PULL_OVERLAP_MS.
+  function pullSince(mark) {
+    const ms = mark ? Date.parse(mark) : NaN;
+    return Number.isFinite(ms) ? new Date(ms - SYNC_PULL_OVERLAP_MS).toISOString() : mark;
   }
-  // ─────────────────────────────────────────────────────────────
-
-  const LEVEL_SEC = 5 * 60 * 60; // 5 hours per island level
-  const STOPWATCH_CAP_SEC = 6 * 60 * 60; // UI-only cap bar (6 hours)
-  const MAX_HABITS = 3;
 
-  const TREE_STAGES = [
-  { id: 'seed',    name: 'Seed',    minSec: 0 },
-  { id: 'sprout',  name: 'Sprout',  minSec: 10 * 60 },
-  { id: 'plant',   name: 'Plant',   minSec: 30 * 60 },
-  { id: 'sapling', name: 'Sapling', minSec: 60 * 60 },
-  { id: 'tree',    name: 'Tree',    minSec: 2 * 60 * 60 }, // 2 hours to become a tree
-];
+  // One row per key (the last one wins), in case paging returned a row twice.
+  function uniqueRows(table, rows) {
+    if (!Array.isArray(rows)) return rows;
+    const key = SYNC_TABLE_KEYS[table];
+    return Array.from(new Map(rows.map(r => [String(r[key]), r])).values());
+  }
 
-  const FRUIT_RATE_SEC = 30 * 60; // 1 fruit per 30 minutes AFTER reaching Tree stage
+  function profileRowHash(row) {
+    const { updated_at, ...rest } = row;
+    return JSON.stringify(rest);
+  }
 
-  const ISLAND_UPGRADES = [
-  { level: 1,  title: 'Palm tree',        desc: 'A little shade appears on the beach.' },
-  { level: 2,  title: 'Cozy hut',         desc: 'A place to rest between study sessions.' },
-  { level: 3,  title: 'Wooden dock',      desc: 'A dock extends into the water.' },
-  { level: 4,  title: 'Lighthouse',       desc: 'A beacon lights up the horizon.' },
+  // Merge pulled label rows. Labels with a local edit waiting to be pushed
+  // keep the local copy. Returns the ids taken from the server.
+  function mergeRemoteLabels(rows) {
+    const taken = new Set();
+    const deleted = sbOutboxIds('deleteLabels');
+    const dirty = new Set(sb.dirtyLabelIds);
+    const remoteLabels = rows.map(rowToLocalLabel).filter(l => !deleted.has(String(l.id)));
+    const byId = new Map((state.labels?.items || []).map(l => [String(l.id), l]));
+    for (const rl of remoteLabels) {
+      if (dirty.has(String(rl.id))) continue;
+      byId.set(String(rl.id), rl);
+      taken.add(String(rl.id));
+    }
+    state.labels.items = Array.from(byId.values());
+    return taken;
+  }
+
+  // Merge pulled task/habit rows into `items`. Tombstoned rows drop the local
+  // copy; a local edit waiting to be pushed keeps it. Returns { items, taken }.
+  function mergeRemoteRecords(items, rows, toLocal, kind, outboxKind) {
+    const taken = new Set();
+    const dirty = new Set(sbDirtyList(kind));
+    const deletedHere = outboxKind ? sbOutboxIds(outboxKind) : new Set();
+    const byId = new Map((items || []).map(x => [String(x.id), x]));
+    for (const row of rows) {
+      const id = String(row.local_id || '');
+      if (!id) continue;
+      if (row.deleted_at) {
+        byId.delete(id);
+        continue;
+      }
+      if (dirty.has(id) || deletedHere.has(id)) continue;
+      byId.set(id, toLocal(row));
+      taken.add(id);
+    }
+    return { items: Array.from(byId.values()), taken };
+  }
+
+  function mergeRemoteTasks(rows) {
+    const res = mergeRemoteRecords(state.tasks, rows, rowToLocalTask, 'tasks', 'tombstoneTasks');
+    state.tasks = res.items;
+    return res.taken;
+  }
+
+  function mergeRemoteHabits(rows) {
+    const res = mergeRemoteRecords(state.habits.items, rows, rowToLocalHabit, 'habits');
+    state.habits.items = res.items;
+    return res.taken;
+  }
+
+  // Merge pulled session rows (tombstones included) and move xp/growth by
+  // what changed. Returns the client ids taken from the server.
+  function mergeRemoteSessions(rows, { full = false, treeChanged = false } = {}) {
+    const taken = new Set();
+    const dirty = new Set(sb.dirtySessionIds);
+    const deletedHere = sbOutboxIds('tombstoneSessions');
+    const tombstoned = new Set();
+    const byClient = new Map((state.sessions || []).map(s => [String(s.clientId || s.id), s]));
+    // Progression follows the merged session set: whatever the pulled rows
+    // add or change is applied on top of this device's own totals.
+    let xpDelta = 0;
+    let growthDelta = 0;
+    for (const row of rows) {
+      const rs = rowToLocalSession(row);
+      const key = String(rs.clientId || rs.id);
+      const prev = byClient.get(key);
+
+      // Tombstone: a deletion on any device wins over every local copy.
+      if (row.deleted_at) {
+        if (prev) {
+          xpDelta -= Number(prev.durationSec || 0);
+          growthDelta -= gardenGrowthOf(prev);
+          byClient.delete(key);
+        }
+        tombstoned.add(key);
+        continue;
+      }
+      // deleted here; the tombstone goes up on the next push
+      if (deletedHere.has(key)) continue;
+
+      // On a full pull local copies win (they are all pushed below).
+      // On a delta pull the remote row replaces an unchanged local one;
+      // a local edit still waiting to be pushed only loses to a newer remote edit.
+      const takeRemote = !prev || (!full && (!dirty.has(key) || rs.updatedTs > Number(prev.updatedTs || 0)));
+      if (takeRemote) {
+        xpDelta += Number(rs.durationSec || 0) - Number(prev?.durationSec || 0);
+        growthDelta += gardenGrowthOf(rs) - gardenGrowthOf(prev);
+        byClient.set(key, rs);
+        taken.add(key);
+      }
+    }
+    state.sessions = Array.from(byClient.values()).sort((a,b) => (Number(b.endTs||0) - Number(a.endTs||0)));
+    if (tombstoned.size) sbClearDirty('sessions', tombstoned);
+    state.island.xpSec = Math.max(0, Number(state.island.xpSec || 0) + xpDelta);
+    state.garden.growthSec = treeChanged
+      ? gardenGrowthFromSessions()
+      : Math.max(0, Number(state.garden.growthSec || 0) + growthDelta);
+    return taken;
+  }
+
+  // Sync only what changed: pull rows whose server updated_at is past the
+  // stored high-water mark, push records listed in the local change log.
+  // The first sync for an account (or after an import) is a full pull/push.
+  // High-water marks are only saved once the pushes behind them went through:
+  // a full push that failed is retried as a full push next time, since records
+  // from before the first sync or from a replace-import are not in the change log.
+  async function fullSync() {
+    if (!sbSignedIn()) return;
+    if (sb.syncing) { sb.resyncQueued = true; return; }
+    sb.syncing = true;
+    sb.runErrors = [];
+    renderAuthUi();
+
+    ensureClientIds();
+
+    // high-water marks belong to one account
+    if (sb.syncUserId !== sb.user.id) {
+      sb.syncUserId = sb.user.id;
+      sb.highWater = { profiles: '', labels: '', sessions: '', tasks: '', habits: '' };
+      sb.pushedProfileHash = '';
+      sbSaveMeta();
+    }
+    const full = !sb.highWater.sessions || sb.forcePushOnce === true;
+    const fullTasks = full || !sb.highWater.tasks;
+    const fullHabits = full || !sb.highWater.habits;
+
+    // Pending deletes go first; pulling before they land could bring deleted rows back.
+    if (!(await sbFlushOutbox())) {
+      sbEndSyncRun();
+      return false;
+    }
+
+    const skipPull = sb.forcePushOnce === true;
+    // records taken from the server this round; no need to push them back
+    const pulled = { labels: new Set(), sessions: new Set(), tasks: new Set(), habits: new Set() };
+
+    // marks reached by this run's pulls; committed after the pushes below
+    const hw = { ...sb.highWater };
+
+    if (!skipPull) {
+      // Rows in the overlap window come back again; the merges below take the
+      // same row twice without harm. The profile is one row, so its stamps
+      // only grow and it needs no overlap.
+      const pull = async (table) => {
+        const since = table === 'profiles' ? hw[table] : pullSince(hw[table]);
+        const res = await sb.provider.pull(table, { since });
+        return res.error ? res : { ...res, data: uniqueRows(table, res.data) };
+      };
+
+      // 1) Pull remote profile (only if it changed since the last pull)
+      const profRes = await pull('profiles');
+      if (profRes.error) sbSyncError('Sync pull failed', 'Profiles', profRes.error);
+      let remoteProfile = null;
+      let treeChanged = false;
+      if (!profRes.error && profRes.data && profRes.data[0]) {
+        remoteProfile = profRes.data[0];
+        treeChanged = applyProfileRow(remoteProfile, { initial: full });
+        hw.profiles = maxUpdatedAt([remoteProfile], hw.profiles);
+      }
+
+      // 2) Pull remote labels + sessions changed since the last pull
+      const lblRes = await pull('labels');
+      if (lblRes.error) sbSyncError('Sync pull failed', 'Labels', lblRes.error);
+      if (!lblRes.error && Array.isArray(lblRes.data)) {
+        pulled.labels = mergeRemoteLabels(lblRes.data);
+        hw.labels = maxUpdatedAt(lblRes.data, hw.labels);
+      }
+
+      const sesRes = await pull('sessions');
+      if (sesRes.error) sbSyncError('Sync pull failed', 'Sessions', sesRes.error);
+      if (!sesRes.error && Array.isArray(sesRes.data)) {
+        pulled.sessions = mergeRemoteSessions(sesRes.data, { full, treeChanged });
+        hw.sessions = maxUpdatedAt(sesRes.data, hw.sessions) || hw.sessions || new Date(0).toISOString();
+      } else if (treeChanged) {
+        state.garden.growthSec = gardenGrowthFromSessions();
+      }
+
+      // 3) Pull tasks + habits. Accounts synced before these tables existed
+      // have no mark yet and get a full pull here.
+      const tskRes = await pull('tasks');
+      if (tskRes.error) sbSyncError('Sync pull failed', 'Tasks', tskRes.error);
+      if (!tskRes.error && Array.isArray(tskRes.data)) {
+        pulled.tasks = mergeRemoteTasks(tskRes.data);
+        hw.tasks = maxUpdatedAt(tskRes.data, hw.tasks) || hw.tasks || new Date(0).toISOString();
+      }
+
+      const habRes = await pull('habits');
+      if (habRes.error) sbSyncError('Sync pull failed', 'Habits', habRes.error);
+      if (!habRes.error && Array.isArray(habRes.data)) {
+        pulled.habits = mergeRemoteHabits(habRes.data);
+        hw.habits = maxUpdatedAt(habRes.data, hw.habits) || hw.habits || new Date(0).toISOString();
+      }
+
+      // Progress that predates session history only exists in the profile row.
+      if (full && remoteProfile) {
+        state.island.xpSec = Math.max(state.island.xpSec, Number(remoteProfile.island_xp_sec || 0));
+        if (Number(remoteProfile.garden_planted_ts || 0) === Number(state.garden.plantedTs || 0)) {
+          state.garden.growthSec = Math.max(state.garden.growthSec, Number(remoteProfile.garden_growth_sec || 0));
+        }
+      }
+    }
+
+    // 4) Push local profile + changed labels, sessions, tasks and habits
+    let pushedAll = true;
+    {
+      const row = localProfileToRow();
+      const hash = profileRowHash(row);
+      if (full || hash !== sb.pushedProfileHash) {
+        const r = await sb.provider.upsert('profiles', [row]);
+        if (r?.error) { sbSyncError('Sync push failed', 'Profiles', r.error); pushedAll = false; }
+        else sb.pushedProfileHash = hash;
+      }
+    }
+
+    const pushLabelIds = new Set(sb.dirtyLabelIds);
+    const labelItems = (state.labels?.items || []).filter(l => pushLabelIds.has(String(l.id)) || (full && !pulled.labels.has(String(l.id))));
+    if (labelItems.length) {
+      const r = await sbUpsertChunked('labels', labelItems.map(localLabelToRow));
+      if (r?.error) { sbSyncError('Sync push failed', 'Labels', r.error); pushedAll = false; }
+      else sbClearDirty('labels', pushLabelIds);
+    } else {
+      sbClearDirty('labels', pushLabelIds);
+    }
+
+    const pushSessionIds = new Set(sb.dirtySessionIds);
+    const sessionItems = (state.sessions || []).filter(s => {
+      const key = String(s.clientId || s.id);
+      return pushSessionIds.has(key) || (full && !pulled.sessions.has(key));
+    });
+    if (sessionItems.length) {
+      const r = await sbUpsertChunked('sessions', sessionItems.map(localSessionToRow));
+      if (r?.error) { sbSyncError('Sync push failed', 'Sessions', r.error); pushedAll = false; }
+      else sbClearDirty('sessions', pushSessionIds);
+    } else {
+      sbClearDirty('sessions', pushSessionIds);
+    }
+
+    const pushedTasks = await sbPushRecords('tasks', state.tasks, localTaskToRow, fullTasks ? pulled.tasks : null);
+    const pushedHabits = await sbPushRecords('habits', state.habits.items, localHabitToRow, fullHabits ? pulled.habits : null);
+    pushedAll = pushedAll && pushedTasks && pushedHabits;
+
+    // Unpushed edits of a delta run stay in the change log, so its marks can
+    // move on; a full push keeps the old marks (and an import's push-first
+    // flag) until it goes through.
+    if (!full || pushedAll) {
+      for (const table of ['profiles', 'labels', 'sessions']) sb.highWater[table] = hw[table];
+      sb.forcePushOnce = false;
+    }
+    if (!fullTasks || pushedTasks) sb.highWater.tasks = hw.tasks;
+    if (!fullHabits || pushedHabits) sb.highWater.habits = hw.habits;
+
+    sb.lastSyncMs = Date.now();
+    sbSaveMeta();
+
+    saveState();
+    renderAll();
+
+    sb.dirtyDuringSync.clear();
+    // a clean run ends any backoff before the queued resync is scheduled
+    if (!sb.runErrors.length) sb.retryAtMs = 0;
+    sbEndSyncRun();
+    return sb.runErrors.length === 0;
+  }
+
+  // A sync asked for while one was running goes next (still after any retry backoff).
+  function sbEndSyncRun() {
+    sb.syncing = false;
+    renderAuthUi();
+    if (sb.resyncQueued) {
+      sb.resyncQueued = false;
+      queueSyncSoon(250);
+    }
+  }
+
+  // Upsert in requests of SB_PAGE_SIZE rows, so a first sync or a large
+  // import is not one oversized request. Stops at the first error.
+  async function sbUpsertChunked(table, rows) {
+    for (let i = 0; i < rows.length; i += SB_PAGE_SIZE) {
+      const r = await sb.provider.upsert(table, rows.slice(i, i + SB_PAGE_SIZE));
+      if (r?.error) return r;
+    }
+    return { error: null };
+  }
+
+  // Upsert dirty task/habit records by local_id. `fullExcept` (a set of ids
+  // just pulled) means this table is on its first sync: push everything else too.
+  // Returns false when the push failed.
+  async function sbPushRecords(kind, items, toRow, fullExcept) {
+    const pushIds = new Set(sbDirtyList(kind));
+    const rows = (items || []).filter(x => pushIds.has(String(x.id)) || (fullExcept && !fullExcept.has(String(x.id))));
+    if (rows.length) {
+      const r = await sbUpsertChunked(kind, rows.map(toRow));
+      if (r?.error) {
+        sbSyncError('Sync push failed', kind === 'tasks' ? 'Tasks' : 'Habits', r.error);
+        return false;
+      }
+    }
+    sbClearDirty(kind, pushIds);
+    return true;
+  }
+
+  const SB_DIRTY_KEYS = { sessions: 'dirtySessionIds', labels: 'dirtyLabelIds', tasks: 'dirtyTaskIds', habits: 'dirtyHabitIds' };
+
+  function sbDirtyList(kind) {
+    return sb[SB_DIRTY_KEYS[kind]];
+  }
+
+  // Change log: ids of records edited locally since they were last pushed.
+  // ids: one id or a list (an import marks many records at once).
+  function sbMarkDirty(kind, ids) {
+    if (!sb.ready) return;
+    const list = sbDirtyList(kind);
+    let changed = false;
+    for (const raw of [].concat(ids)) {
+      const id = String(raw || '');
+      if (!id || list.includes(id)) continue;
+      list.push(id);
+      if (sb.syncing) sb.dirtyDuringSync.add(id);
+      changed = true;
+    }
+    if (changed) sbSaveMeta();
+  }
+
+  // Drop pushed ids; anything marked again while the push was in flight stays queued.
+  function sbClearDirty(kind, pushedIds) {
+    if (!pushedIds.size) return;
+    const done = (id) => pushedIds.has(id) && !sb.dirtyDuringSync.has(id);
+    sb[SB_DIRTY_KEYS[kind]] = sbDirtyList(kind).filter(id => !done(id));
+    sbSaveMeta();
+  }
+
+  // Remote deletes go through the outbox, so they survive reloads and offline periods.
+  function sbQueueDeleteLabel(localId) {
+    sbEnqueue('deleteLabels', [localId]);
+  }
+
+  function sbQueueDeleteSessions(clientIds) {
+    sbEnqueue('tombstoneSessions', clientIds);
+  }
+
+  function sbDeleteAllSessions() {
+    sbEnqueue('tombstoneAllSessions');
+  }
+
+  function sbQueueDeleteTasks(localIds) {
+    sbEnqueue('tombstoneTasks', localIds);
+  }
+
+  function sbUpsertSoon() {
+    queueSyncSoon(250);
+  }
+
+  // Realtime: rows changed on other devices arrive as postgres_changes events
+  // and are merged straight into state. Channels come from
+  // window.BLOOMORA_REALTIME_CHANNEL(name) when set (a local stand-in with the
+  // same on()/subscribe()/unsubscribe() surface), else from the sync provider.
+  // Providers without channels (REST) rely on the regular delta pulls.
+  function sbOpenChannel(name) {
+    if (typeof window.BLOOMORA_REALTIME_CHANNEL === 'function') return window.BLOOMORA_REALTIME_CHANNEL(name);
+    return typeof sb.provider.channel === 'function' ? sb.provider.channel(name) : null;
+  }
+
+  // (Re)subscribe whenever the signed-in user changes.
+  function sbRealtimeUpdate() {
+    const uid = sbSignedIn() ? String(sb.user.id) : '';
+    if (uid === sb.realtimeUserId) return;
+    if (sb.realtime) {
+      try { sb.realtime.unsubscribe(); } catch (e) { console.warn('Realtime unsubscribe failed', e); }
+      sb.realtime = null;
+    }
+    sb.realtimeUserId = uid;
+    if (!uid) return;
+
+    try {
+      const ch = sbOpenChannel('bloomora-sync-' + uid);
+      if (!ch) return;
+      const listen = (table, filter) => ch.on('postgres_changes', { event: '*', schema: 'public', table, filter }, (payload) => sbOnRealtimeRow(table, payload));
+      listen('profiles', `id=eq.${uid}`);
+      listen('labels', `user_id=eq.${uid}`);
+      listen('sessions', `user_id=eq.${uid}`);
+      listen('tasks', `user_id=eq.${uid}`);
+      listen('habits', `user_id=eq.${uid}`);
+      ch.subscribe((status) => {
+        // events missed while the channel was down are picked up by a delta pull
+        if (status === 'SUBSCRIBED') queueSyncSoon(250);
+        else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') console.warn('Realtime channel', status);
+      });
+      sb.realtime = ch;
+    } catch (e) {
+      console.warn('Realtime subscribe failed', e);
+    }
+  }
+
+  // Merge one changed row. Own pushes echo back too; the merges are idempotent.
+  // High-water marks are left alone so the next delta pull still covers
+  // anything a dropped event missed. Hard deletes (labels) only carry the
+  // primary key and are ignored, same as the delta pull.
+  function sbOnRealtimeRow(table, payload) {
+    const row = payload && payload.new;
+    if (!sbSignedIn() || !row || payload.eventType === 'DELETE') return;
+    if (table === 'profiles') {
+      if (String(row.id) !== String(sb.user.id)) return;
+      if (applyProfileRow(row)) state.garden.growthSec = gardenGrowthFromSessions();
+    } else {
+      if (String(row.user_id) !== String(sb.user.id)) return;
+      if (table === 'labels') mergeRemoteLabels([row]);
+      else if (table === 'sessions') mergeRemoteSessions([row]);
+      else if (table === 'tasks') mergeRemoteTasks([row]);
+      else if (table === 'habits') mergeRemoteHabits([row]);
+      else return;
+    }
+    sbSaveMeta();
+    saveState();
+    renderAll();
+  }
+
+  // Cloud data: everything the server holds for the signed-in account.
+  const SB_USER_TABLES = ['sessions', 'labels', 'tasks', 'habits', 'profiles'];
+
+  // Builds a state object shaped like exportState() from raw cloud rows.
+  function cloudRowsToState(rows) {
+    const st = defaultState();
+    const p = rows.profiles[0];
+    if (p) {
+      const remote = (key) => SYNC_FIELDS.find(f => f.key === key).remote(p);
+      const cap = remote('stopwatchCap');
+      const tree = remote('gardenTree');
+      st.profile.name = remote('name') ?? st.profile.name;
+      st.profile.weeklyGoalHours = remote('weeklyGoalHours') ?? st.profile.weeklyGoalHours;
+      st.profile.theme = remote('theme') ?? st.profile.theme;
+      if (cap) { st.profile.stopwatchCapOn = cap.on; st.profile.stopwatchCapHours = cap.hours; }
+      st.profile.sessionAmbient = remote('sessionAmbient') ?? st.profile.sessionAmbient;
+      st.profile.backgroundChoice = remote('backgroundChoice') ?? 'black';
+      st.pomodoro = remote('pomodoro') ?? st.pomodoro;
+      st.profile.flowtimeRatio = remote('flowtimeRatio') ?? st.profile.flowtimeRatio;
+      st.timerPresets = remote('timerPresets') ?? st.timerPresets;
+      const audio = remote('audio');
+      if (audio) mergeSyncedAudio(st.audio, audio);
+      st.habits.completions = remote('habitCompletions') ?? {};
+      st.island.xpSec = Number(p.island_xp_sec || 0);
+      if (tree) { st.garden.treeType = tree.treeType; st.garden.plantedTs = tree.plantedTs; }
+      st.garden.growthSec = Number(p.garden_growth_sec || 0);
+      st.garden.harvestedOnThisTree = Number(p.garden_harvested_on_tree || 0);
+      if (p.fruit_collection && typeof p.fruit_collection === 'object') st.fruitCollection = { ...st.fruitCollection, ...p.fruit_collection };
+      st.profile.statsResetTs = Number(p.settings?.statsResetTs) || 0;
+      if (p.field_updated_at && typeof p.field_updated_at === 'object') st.fieldTs = { ...p.field_updated_at };
+    }
+    const live = (r) => !r.deleted_at;
+    st.labels.items = rows.labels.map(rowToLocalLabel);
+    st.sessions = rows.sessions.filter(live).map(rowToLocalSession).sort((a,b) => (Number(b.endTs||0) - Number(a.endTs||0)));
+    st.tasks = rows.tasks.filter(live).map(rowToLocalTask);
+    st.habits.items = rows.habits.filter(live).map(rowToLocalHabit);
+    return hydrateState(st);
+  }
+
+  async function downloadCloudData() {
+    if (!sbSignedIn()) return toast('Not signed in', 'Sign in to download your cloud data.');
+    try {
+      const rows = {};
+      for (const table of SB_USER_TABLES) {
+        const { data, error } = await sb.provider.pull(table);
+        if (error) throw error;
+        rows[table] = data || [];
+      }
+      const st = cloudRowsToState(rows);
+      downloadText(`bloomora_cloud_${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(st, null, 2));
+      toast('Downloaded', `Cloud data: ${st.sessions.length} sessions, ${st.labels.items.length} labels, ${st.tasks.length} tasks.`);
+    } catch (e) {
+      console.warn(e);
+      toast('Download failed', e?.message || String(e));
+    }
+  }
+
+  // Deletes every row owned by this account, then signs out so the next
+  // sync can't upload the local copy again. keepLocal=false also clears this device.
+  async function deleteCloudData({ keepLocal }) {
+    if (!sbSignedIn()) return;
+    if (sb.syncing) return toast('Sync in progress', 'Try again in a moment.');
+    if (syncTimer) { clearTimeout(syncTimer); syncTimer = null; }
+    for (const table of SB_USER_TABLES) {
+      const { error } = await sb.provider.remove(table, null);
+      if (error) {
+        console.warn(error);
+        toast('Delete failed', `${capitalize(table)}: ${error.message || 'unknown error'}. Try again to finish.`);
+        return;
+      }
+    }
+
+    // the sync bookkeeping describes data that no longer exists
+    sb.outbox = [];
+    for (const key of Object.values(SB_DIRTY_KEYS)) sb[key] = [];
+    sb.highWater = { profiles: '', labels: '', sessions: '', tasks: '', habits: '' };
+    sb.pushedProfileHash = '';
+    sb.syncUserId = '';
+    sb.lastSyncMs = 0;
+    sb.lastConflictNote = '';
+    sbSaveMeta();
+
+    await authSignOut();
+    if (!keepLocal) resetAll();
+    toast('Cloud data deleted', keepLocal ? 'Your data is still on this device.' : 'Cloud and local data were cleared.');
+  }
+  // ─────────────────────────────────────────────────────────────
+
+  const LEVEL_SEC = 5 * 60 * 60; // 5 hours per island level
+  const STOPWATCH_CAP_SEC = 6 * 60 * 60; // UI-only cap bar (6 hours)
+  const MAX_HABITS = 3;
+
+  const TREE_STAGES = [
+  { id: 'seed',    name: 'Seed',    minSec: 0 },
+  { id: 'sprout',  name: 'Sprout',  minSec: 10 * 60 },
+  { id: 'plant',   name: 'Plant',   minSec: 30 * 60 },
+  { id: 'sapling', name: 'Sapling', minSec: 60 * 60 },
+  { id: 'tree',    name: 'Tree',    minSec: 2 * 60 * 60 }, // 2 hours to become a tree
+];
+
+  const FRUIT_RATE_SEC = 30 * 60; // 1 fruit per 30 minutes AFTER reaching Tree stage
+
+  const ISLAND_UPGRADES = [
+  { level: 1,  title: 'Palm tree',        desc: 'A little shade appears on the beach.' },
+  { level: 2,  title: 'Cozy hut',         desc: 'A place to rest between study sessions.' },
+  { level: 3,  title: 'Wooden dock',      desc: 'A dock extends into the water.' },
+  { level: 4,  title: 'Lighthouse',       desc: 'A beacon lights up the horizon.' },
   { level: 5,  title: 'Garden patch',     desc: 'A small patch of green appears.' },
   { level: 6,  title: 'Campfire',         desc: 'A warm glow for late-night study.' },
   { level: 7,  title: 'Sailboat',         desc: 'A tiny boat drifts by.' },
@@ -602,10 +1857,12 @@ function formatHMS(sec) {
   };
 
   const refreshRunningTitle = () => {
-    // Priority: stopwatch > timer > pomodoro
+    // Priority: stopwatch > timer > pomodoro > flowtime
     if (typeof swRunning !== 'undefined' && swRunning) return setDocTitle(formatHMS(getStopwatchElapsedSec()));
     if (typeof cd !== 'undefined' && cd?.running) return setDocTitle(formatHMS(cd.remainingSec));
     if (typeof pom !== 'undefined' && pom?.running) return setDocTitle(formatMMSS(pom.remainingSec));
+    if (typeof ft !== 'undefined' && ft?.running) return setDocTitle(formatHMS(ftFocusSec()));
+    if (typeof ft !== 'undefined' && ft?.breakEndTs) return setDocTitle(formatHMS(ft.remainingSec));
     setDocTitle(null);
   };
 
@@ -617,8 +1874,8 @@ function formatHMS(sec) {
     return `${date} • ${time}`;
   }
 
-  function downloadText(filename, text) {
-    const blob = new Blob([text], { type: 'application/json' });
+  function downloadText(filename, text, type = 'application/json') {
+    const blob = new Blob([text], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -637,10 +1894,150 @@ function formatHMS(sec) {
     }
   }
 
+  // ------------------ STATE MIGRATIONS ------------------
+  // Persisted state and backup files carry `version`. STATE_MIGRATIONS[n]
+  // upgrades a version-n object to n + 1; hydrateState() runs the whole chain
+  // for localStorage/IndexedDB data and imported backups alike, so old data
+  // always upgrades the same way. Builds before versioning count as v1.
+  const STATE_VERSION = 4;
+
+  const STATE_MIGRATIONS = {
+    // v1 -> v2: progression was stored as flat snake_case keys (also inside the
+    // profile), and the last world view as profile.defaultRewardMode.
+    1: (st) => {
+      const p = (st.profile && typeof st.profile === 'object') ? st.profile : {};
+      const island = (st.island && typeof st.island === 'object') ? st.island : {};
+      const garden = (st.garden && typeof st.garden === 'object') ? st.garden : {};
+
+      const xpSec = island.xpSec ?? island.xp_sec ?? st.island_xp_sec ?? p.island_xp_sec ?? p.islandXpSec;
+      const growthSec = garden.growthSec ?? garden.growth_sec ?? st.garden_growth_sec ?? p.garden_growth_sec ?? p.gardenGrowthSec;
+      const treeType = garden.treeType ?? garden.tree_type ?? st.garden_tree_type ?? p.garden_tree_type;
+      const harvested = garden.harvestedOnThisTree ?? garden.harvested_on_tree ?? st.garden_harvested_on_tree ?? p.garden_harvested_on_tree;
+
+      if (xpSec != null) island.xpSec = Number(xpSec);
+      if (growthSec != null) garden.growthSec = Number(growthSec);
+      if (treeType) garden.treeType = String(treeType);
+      if (harvested != null) garden.harvestedOnThisTree = Number(harvested);
+      delete island.xp_sec;
+      delete garden.growth_sec;
+      delete garden.tree_type;
+      delete garden.harvested_on_tree;
+      st.island = island;
+      st.garden = garden;
+
+      if (st.fruit_collection && typeof st.fruit_collection === 'object') {
+        st.fruitCollection = { ...(st.fruitCollection || {}), ...st.fruit_collection };
+      }
+
+      for (const k of ['island_xp_sec', 'garden_growth_sec', 'garden_tree_type', 'garden_harvested_on_tree', 'fruit_collection']) delete st[k];
+      for (const k of ['island_xp_sec', 'islandXpSec', 'garden_growth_sec', 'gardenGrowthSec', 'garden_tree_type', 'garden_harvested_on_tree']) delete p[k];
+
+      // We no longer expose a default view setting; instead we remember the last world view.
+      if (p.defaultRewardMode && !st.ui) st.ui = { worldView: p.defaultRewardMode };
+      delete p.defaultRewardMode;
+      if (st.profile) st.profile = p;
+      return st;
+    },
+
+    // v2 -> v3: LoFi was stored only as an embed URL, and a custom background
+    // image was kept inside the profile (it now lives in CUSTOM_BG_KEY).
+    2: (st, io) => {
+      const audio = (st.audio && typeof st.audio === 'object') ? st.audio : null;
+      if (audio && !String(audio.lofiVideoId || '').trim()) {
+        const vid = youtubeIdFromEmbedUrl(audio.lofiEmbedUrl);
+        if (vid) audio.lofiVideoId = vid;
+      }
+
+      if (st.profile && typeof st.profile === 'object' && 'backgroundCustomData' in st.profile) {
+        if (st.profile.backgroundCustomData) io.saveCustomBackground(String(st.profile.backgroundCustomData));
+        delete st.profile.backgroundCustomData;
+      }
+      return st;
+    },
+
+    // v3 -> v4: builds before versioning already stamped every blob and backup
+    // as v3, so v3 data can still hold any legacy shape above. Both steps leave
+    // already-current data alone, so they simply run again.
+    3: (st, io) => STATE_MIGRATIONS[2](STATE_MIGRATIONS[1](st, io) || st, io) || st,
+  };
+
+  // Side effects migrations may need (kept separate so migrateState() stays testable).
+  const stateMigrationIo = {
+    saveCustomBackground(dataUrl) {
+      if (dataUrl && !storage.getItem(CUSTOM_BG_KEY)) storage.setItem(CUSTOM_BG_KEY, dataUrl);
+    },
+  };
+
+  function stateVersionOf(st) {
+    const v = Math.floor(Number(st?.version));
+    return (Number.isFinite(v) && v >= 1) ? v : 1;
+  }
+
+  // Returns an upgraded deep copy; the input object is left untouched.
+  // Data from a newer build (version > STATE_VERSION) is returned as is.
+  function migrateState(input, io = stateMigrationIo) {
+    let st = JSON.parse(JSON.stringify(input));
+    let v = stateVersionOf(st);
+    while (v < STATE_VERSION) {
+      const step = STATE_MIGRATIONS[v];
+      if (typeof step !== 'function') throw new Error(`Missing state migration v${v} -> v${v + 1}`);
+      st = step(st, io) || st;
+      v += 1;
+      st.version = v;
+    }
+    return st;
+  }
+
+  function youtubeIdFromEmbedUrl(url) {
+    const rawUrl = String(url || '').trim();
+    if (!rawUrl) return '';
+    const m1 = rawUrl.match(/\/embed\/([a-zA-Z0-9_-]{6,})/i);
+    const m2 = rawUrl.match(/[?&]v=([a-zA-Z0-9_-]{6,})/i);
+    const m3 = rawUrl.match(/youtu\.be\/([a-zA-Z0-9_-]{6,})/i);
+    return (m1 && m1[1]) || (m2 && m2[1]) || (m3 && m3[1]) || '';
+  }
+
+  // Timer presets: a timer type with its length, label and session sound,
+  // started in one click from the timer page or the dashboard.
+  const TIMER_PRESET_TYPES = ['timer', 'stopwatch', 'pomodoro', 'flowtime'];
+  const TIMER_PRESET_AMBIENTS = ['off', 'fire', 'ocean', 'nature', 'wind', 'ambient'];
+  const TIMER_PRESET_MAX = 24;
+
+  function normalizeTimerPreset(p) {
+    if (!p || typeof p !== 'object') return null;
+    const type = TIMER_PRESET_TYPES.includes(p.type) ? p.type : 'timer';
+    const name = String(p.name || '').trim().slice(0, 24);
+    if (!name) return null;
+    return {
+      id: String(p.id || uid('preset')),
+      name,
+      type,
+      // only countdowns have a fixed length; Pomodoro lengths come from its profile
+      durationSec: type === 'timer' ? clamp(Math.round(Number(p.durationSec) || 1500), 60, 86399) : 0,
+      profileId: type === 'pomodoro' ? String(p.profileId || '') : '',
+      labelId: String(p.labelId || ''),
+      // '' keeps whichever session sound is already chosen
+      ambient: TIMER_PRESET_AMBIENTS.includes(p.ambient) ? p.ambient : '',
+    };
+  }
+
+  function normalizeTimerPresets(list) {
+    const seen = new Set();
+    const out = [];
+    for (const raw of Array.isArray(list) ? list : []) {
+      const p = normalizeTimerPreset(raw);
+      if (!p || seen.has(p.id)) continue;
+      seen.add(p.id);
+      out.push(p);
+      if (out.length >= TIMER_PRESET_MAX) break;
+    }
+    return out;
+  }
+
   function defaultState() {
     const currentYear = new Date().getFullYear();
     return {
-      version: 3,
+      version: STATE_VERSION,
       profile: {
         name: 'Student',
         weeklyGoalHours: 10,
@@ -648,6 +2045,10 @@ function formatHMS(sec) {
         lastYearViewed: currentYear,
         stopwatchCapOn: true,
         stopwatchCapHours: 6,
+        askPauseReason: true,
+        flowtimeRatio: 5,
+        // when Reset stats last ran (0 = never); see applyProfileRow
+        statsResetTs: 0,
               sessionAmbient: { type: 'off', volume: 0.4 },
 },
 
@@ -684,6 +2085,7 @@ pomodoro: {
   longBreakMin: 15,
   longEvery: 4,
 },
+      timerPresets: [],
       sessions: [],
       island: {
         xpSec: 0,
@@ -692,6 +2094,8 @@ pomodoro: {
         treeType: 'Apple',
         growthSec: 0,
         harvestedOnThisTree: 0,
+        // when the current tree was planted (0 = before this was tracked)
+        plantedTs: 0,
       },
       fruitCollection: {
         Apple: 0,
@@ -709,6 +2113,8 @@ pomodoro: {
         items: [],
         completions: {},
       },
+      // last local change per synced setting (see SYNC_FIELDS)
+      fieldTs: {},
     };
   }
 
@@ -717,9 +2123,14 @@ pomodoro: {
     if (!raw) return defaultState();
     const parsed = safeParseJson(raw);
     if (!parsed.ok) return defaultState();
+    return hydrateState(parsed.value);
+  }
 
-    const st = parsed.value;
-    // shallow migration/repair
+  // Repairs a persisted state object (localStorage blob or IndexedDB records).
+  function hydrateState(input) {
+    if (!input || typeof input !== 'object') return defaultState();
+    const st = migrateState(input);
+    // shallow merge with defaults, then repair types
     const d = defaultState();
     const merged = {
       ...d,
@@ -748,28 +2159,22 @@ pomodoro: {
     };
 
 
-// Migrate legacy custom background (stored inside state) into its own key to avoid quota issues.
-try {
-  if (merged?.profile?.backgroundCustomData && !storage.getItem(CUSTOM_BG_KEY)) {
-    storage.setItem(CUSTOM_BG_KEY, String(merged.profile.backgroundCustomData));
-  }
-  if (merged?.profile && 'backgroundCustomData' in merged.profile) delete merged.profile.backgroundCustomData;
-} catch {}
-
     // Fix obvious type issues
     merged.profile.weeklyGoalHours = Number(merged.profile.weeklyGoalHours ?? 10);
     merged.profile.theme = String(merged.profile.theme || 'midnight');
     merged.profile.stopwatchCapOn = (merged.profile.stopwatchCapOn !== false);
     merged.profile.stopwatchCapHours = clamp(Number(merged.profile.stopwatchCapHours ?? 6), 1, 24);
+    merged.profile.askPauseReason = (merged.profile.askPauseReason !== false);
+    merged.profile.flowtimeRatio = normalizeFlowtimeRatio(merged.profile.flowtimeRatio);
+    merged.profile.statsResetTs = Number(merged.profile.statsResetTs) || 0;
 
     merged.island.xpSec = Number(merged.island.xpSec ?? 0);
     merged.garden.growthSec = Number(merged.garden.growthSec ?? 0);
     merged.garden.harvestedOnThisTree = Number(merged.garden.harvestedOnThisTree ?? 0);
+    merged.garden.plantedTs = Number(merged.garden.plantedTs) || 0;
+    merged.fieldTs = (merged.fieldTs && typeof merged.fieldTs === 'object') ? merged.fieldTs : {};
+    merged.timerPresets = normalizeTimerPresets(merged.timerPresets);
 
-    // Migration: older builds used profile.defaultRewardMode as a "default view".
-    // We no longer expose a default view setting; instead we remember the last world view.
-    const legacyMode = (st.profile || {}).defaultRewardMode;
-    if (legacyMode && !st.ui) merged.ui.worldView = legacyMode;
     merged.ui.worldView = normalizeRewardMode(merged.ui.worldView || 'island');
 
     const allowedThemes = new Set(['midnight','violet','emerald','ocean','sunset']);
@@ -804,14 +2209,7 @@ for (const k of ['fire','wind','sea','nature']) {
 }
 // LoFi (YouTube)
 const defaultLofiId = 'CFGLoQIhmow';
-let vid = String(merged.audio.lofiVideoId || '').trim();
-const rawUrl = String(merged.audio.lofiEmbedUrl || '').trim();
-if (!vid && rawUrl) {
-  const m1 = rawUrl.match(/\/embed\/([a-zA-Z0-9_-]{6,})/i);
-  const m2 = rawUrl.match(/[?&]v=([a-zA-Z0-9_-]{6,})/i);
-  const m3 = rawUrl.match(/youtu\.be\/([a-zA-Z0-9_-]{6,})/i);
-  vid = (m1 && m1[1]) || (m2 && m2[1]) || (m3 && m3[1]) || '';
-}
+let vid = String(merged.audio.lofiVideoId || '').trim() || youtubeIdFromEmbedUrl(merged.audio.lofiEmbedUrl);
 if (!vid) vid = defaultLofiId;
 merged.audio.lofiVideoId = vid;
 merged.audio.lofiEmbedUrl = `https://www.youtube.com/embed/${vid}?autoplay=0&rel=0&modestbranding=1`;
@@ -828,6 +2226,12 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
     merged.labels.view = (merged.labels.view === 'list') ? 'list' : 'grid';
     merged.labels.sort = (merged.labels.sort === 'date') ? 'date' : 'name';
 
+    // Records are stored by id (see idbWriteState); older data may lack one.
+    const withId = (rec, prefix) => (rec && typeof rec === 'object' && (rec.id == null || rec.id === '')
+      ? { ...rec, id: rec.clientId || uid(prefix) } : rec);
+    merged.sessions = merged.sessions.map(x => withId(x, 's'));
+    merged.labels.items = merged.labels.items.map(x => withId(x, 'lbl'));
+
     // Habits
     merged.habits = (merged.habits && typeof merged.habits === 'object') ? merged.habits : { items: [], completions: {} };
     merged.habits.items = Array.isArray(merged.habits.items) ? merged.habits.items : [];
@@ -844,6 +2248,12 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
 
 
   function saveState() {
+    stampSyncFields();
+    // IndexedDB writes are batched; several saveState() calls per render are common.
+    if (idb.ready) {
+      idbQueueWrite();
+      return;
+    }
     storage.setItem(STORAGE_KEY, JSON.stringify(state));
   }
 
@@ -894,7 +2304,7 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
       const g = ctx.createGain();
 
       // Different little patterns
-      const base = (kind === 'hour') ? 660 : (kind === 'pom') ? 784 : (kind === 'timer') ? 523 : 698;
+      const base = (kind === 'hour') ? 660 : (kind === 'pom') ? 784 : (kind === 'timer') ? 523 : (kind === 'flowtime') ? 587 : 698;
 
       o.type = 'sine';
       o.frequency.setValueAtTime(base, nowT);
@@ -910,8 +2320,8 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
       o.start(nowT);
       o.stop(nowT + 0.28);
 
-      // tiny second ping for pom/timer
-      if (kind === 'pom' || kind === 'timer') {
+      // tiny second ping for pom/timer/flowtime
+      if (kind === 'pom' || kind === 'timer' || kind === 'flowtime') {
         const o2 = ctx.createOscillator();
         const g2 = ctx.createGain();
         o2.type = 'sine';
@@ -930,7 +2340,7 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
   }
 
   // ------------------ SESSION AMBIENT SOUNDS (HTMLAudio) ------------------
-  // Plays ONLY while a timer / pomodoro / stopwatch is actively running.
+  // Plays ONLY while a timer / pomodoro / stopwatch / flowtime focus is actively running.
   // Uses built-in looping audio files in index.html:
   //   #aud_fire, #aud_wind, #aud_sea, #aud_nature
 
@@ -1008,7 +2418,7 @@ merged.audio.ytVolume = clamp(Number(merged.audio.ytVolume ?? 60), 0, 100);
 
 
   function sessIsStudyActive() {
-    return !!(cd?.running || pom?.running || swRunning);
+    return !!(cd?.running || pom?.running || swRunning || ft?.running);
   }
 
   function sessGetCfg() {
@@ -1339,12 +2749,26 @@ function sessOpenModal() {
     document.body.dataset.theme = allowed.has(t) ? t : 'midnight';
   }
 
-  function saveSession({ durationSec, method, rewardMode, label, startedAt, endedAt }) {
+  // Keeps well-formed pauses that lie inside the session, oldest first.
+  function normalizeSessionPauses(list, startTs, endTs) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map(p => ({
+        startTs: Number(p?.startTs),
+        endTs: Number(p?.endTs),
+        reason: String(p?.reason || '').trim().slice(0, 40),
+      }))
+      .filter(p => Number.isFinite(p.startTs) && Number.isFinite(p.endTs)
+        && p.endTs > p.startTs && p.startTs >= startTs && p.endTs <= endTs)
+      .sort((a, b) => a.startTs - b.startTs);
+  }
+
+  // Adds a finished session and its progress to state; returns it, or null
+  // for sessions under a minute. The caller marks it dirty, saves and renders
+  // (CSV import adds many before saving once).
+  function addSessionRecord({ durationSec, method, rewardMode, label, startedAt, endedAt, pauses }) {
     const dur = Math.max(0, Math.round(durationSec));
-    if (dur < 60) {
-      toast('Session not saved', 'Study sessions under 1 minute are ignored to keep your stats clean.');
-      return false;
-    }
+    if (dur < 60) return null;
 
     const endTs = endedAt || now();
     const startTs = startedAt || (endTs - dur * 1000);
@@ -1357,20 +2781,34 @@ function sessOpenModal() {
       method,
       rewardMode: normalizeRewardMode(rewardMode || state.ui.worldView || 'island'),
       label: (label || '').trim().slice(0, 24),
+      updatedTs: now(),
     };
+    const kept = normalizeSessionPauses(pauses, startTs, endTs);
+    if (kept.length) session.pauses = kept;
 
         session.clientId = String(session.id);
 state.sessions.unshift(session);
 
-    // Progress is synced: every session levels up both the Island and the Garden.
+    // Progress is synced: every session levels up both the Island and the Garden
+    // (the current tree only grows from sessions that ended after it was planted).
     state.island.xpSec += dur;
-    state.garden.growthSec += dur;
+    if (endTs > Number(state.garden.plantedTs || 0)) state.garden.growthSec += dur;
+    return session;
+  }
+
+  function saveSession(opts) {
+    const session = addSessionRecord(opts);
+    if (!session) {
+      toast('Session not saved', 'Study sessions under 1 minute are ignored to keep your stats clean.');
+      return false;
+    }
+    sbMarkDirty('sessions', session.clientId);
 
     saveState();
     sbUpsertSoon();
     renderAll();
 
-    toast('Session saved', `${formatDuration(dur)}${session.label ? ' • ' + session.label : ''}`);
+    toast('Session saved', `${formatDuration(session.durationSec)}${session.label ? ' • ' + session.label : ''}`);
     return true;
   }
 
@@ -1378,6 +2816,7 @@ state.sessions.unshift(session);
     state.garden.treeType = newType || state.garden.treeType;
     state.garden.growthSec = 0;
     state.garden.harvestedOnThisTree = 0;
+    state.garden.plantedTs = now();
     saveState();
     renderGarden();
     renderStats();
@@ -1437,6 +2876,7 @@ state.sessions.unshift(session);
       if (route === 'timer') updateTimerHeaderClock();
       if (route === 'dashboard') renderDashboardActivity();
       if (route === 'stats') renderStats();
+      if (route === 'sessions') renderSessionsPage();
       if (route === 'island') renderIsland();
       if (route === 'garden') renderGarden();
     } catch (err) {
@@ -1892,15 +3332,59 @@ function deleteSessionById(sessionId) {
 
   // Keep progression consistent with history edits.
   state.island.xpSec = Math.max(0, Number(state.island.xpSec || 0) - dur);
-  state.garden.growthSec = Math.max(0, Number(state.garden.growthSec || 0) - dur);
+  state.garden.growthSec = Math.max(0, Number(state.garden.growthSec || 0) - gardenGrowthOf(removed));
 
   saveState();
   renderAll();
   toast('Deleted', 'Study session removed.');
-    sbDeleteSession(String(removed?.clientId || removed?.id || sessionId));
+    sbQueueDeleteSessions([String(removed?.clientId || removed?.id || sessionId)]);
 return true;
 }
 
+function updateSessionById(sessionId, patch) {
+  sessionId = String(sessionId || '');
+  const s = state.sessions.find(x => String(x.id) === sessionId);
+  if (!s) return false;
+
+  const startTs = Number(patch.startTs);
+  const endTs = Number(patch.endTs);
+  if (!Number.isFinite(startTs) || !Number.isFinite(endTs) || endTs <= startTs) {
+    toast('Not saved', 'End time must be after the start time.');
+    return false;
+  }
+  // focus time can be shorter than start to end (pauses), never longer
+  const dur = Math.min(Math.round(Number(patch.durationSec)), Math.floor((endTs - startTs) / 1000));
+  if (!Number.isFinite(dur) || dur < 60) {
+    toast('Not saved', 'Sessions need to be at least 1 minute long.');
+    return false;
+  }
+
+  // Keep progression consistent with history edits (same as delete); an edit
+  // can move the session across the time the current tree was planted.
+  const diff = dur - Number(s.durationSec || 0);
+  const growthDiff = gardenGrowthOf({ endTs, durationSec: dur }) - gardenGrowthOf(s);
+  state.island.xpSec = Math.max(0, Number(state.island.xpSec || 0) + diff);
+  state.garden.growthSec = Math.max(0, Number(state.garden.growthSec || 0) + growthDiff);
+
+  s.startTs = startTs;
+  s.endTs = endTs;
+  s.durationSec = dur;
+  // pauses that no longer fit the edited times go
+  const pauses = normalizeSessionPauses(s.pauses, startTs, endTs);
+  if (pauses.length) s.pauses = pauses;
+  else delete s.pauses;
+  s.label = String(patch.label || '').trim().slice(0, 24);
+  s.updatedTs = now();
+  state.sessions.sort((a, b) => (Number(b.endTs || 0) - Number(a.endTs || 0)));
+  sbMarkDirty('sessions', s.clientId || s.id);
+
+  saveState();
+  sbUpsertSoon();
+  renderAll();
+  toast('Session updated', `${formatDuration(dur)}${s.label ? ' • ' + s.label : ''}`);
+  return true;
+}
+
 function resetStats() {
   // Reset study history + progression, keep labels + settings.
   state.sessions = [];
@@ -1910,6 +3394,8 @@ function resetStats() {
 
   // Optional: reset fruit collection (it represents progress rewards).
   state.fruitCollection = { Apple: 0, Orange: 0, Cherry: 0, Mango: 0, Peach: 0 };
+  // lets sync tell this deliberate drop from counts that are merely behind
+  state.profile.statsResetTs = now();
 
   saveState();
   sbDeleteAllSessions();
@@ -1924,51 +3410,248 @@ function capitalize(s) {
     return s.charAt(0).toUpperCase() + s.slice(1);
   }
 
-  // ------------------ ISLAND ------------------
+  // ------------------ SESSIONS PAGE ------------------
 
-  function renderIsland() {
-    const total = state.island.xpSec || 0;
-    const lvl = computeLevel(total);
+  const SESSIONS_PAGE_SIZE = 25;
+  const sessionsView = {
+    page: 0,
+    editingId: null,
+    filters: { label: '', method: '', from: '', to: '' },
+  };
 
-    $('#islandLevelText').textContent = `Level ${lvl.level}`;
-    $('#islandTotalText').textContent = formatDuration(total);
-    $('#islandNextPercent').textContent = `${lvl.pct}%`;
-    $('#islandFill').style.width = `${lvl.pct}%`;
-    $('#islandMeta').textContent = `${formatDuration(lvl.remainingSec)} left to level ${lvl.level + 1}`;
+  // 'YYYY-MM-DDTHH:MM' in local time, for <input type="datetime-local">
+  function toDateTimeLocalValue(ts) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+  }
 
-    // upgrades
-    const host = $('#islandUpgrades');
-    host.innerHTML = '';
-    for (const up of ISLAND_UPGRADES) {
-      const el = document.createElement('div');
-      const unlocked = lvl.level >= up.level;
-      el.className = `upgradeItem ${unlocked ? 'unlocked' : ''}`;
-      el.innerHTML = `
-        <div class="upgradeItem__left">
-          <div class="upgradeItem__title">Level ${up.level} • ${escapeHtml(up.title)}</div>
-          <div class="upgradeItem__meta">${escapeHtml(up.desc)}</div>
-        </div>
-        <div class="upgradeItem__status">${unlocked ? 'Unlocked ✅' : 'Locked 🔒'}</div>
-      `;
-      host.appendChild(el);
-    }
+  function getFilteredSessions(f = sessionsView.filters) {
+    const fromTs = f.from ? new Date(`${f.from}T00:00`).getTime() : -Infinity;
+    const toTs = f.to ? new Date(`${f.to}T23:59:59.999`).getTime() : Infinity;
+    const label = f.label.toLowerCase();
 
-    // Sprite island art (PNG)
-    const sprite = $('#islandSprite');
-    if (sprite) {
-      const n = clamp(lvl.level, 1, 16);
-      sprite.src = `assets/images/island_${String(n).padStart(2,'0')}.png`;
-    }
-    const unlockedCount = ISLAND_UPGRADES.filter(u => lvl.level >= u.level).length;
-    $('#islandUnlocked').textContent = `${unlockedCount}/${ISLAND_UPGRADES.length}`;
+    return state.sessions.filter(s => {
+      if (f.method && s.method !== f.method) return false;
+      if (f.label === '__none') {
+        if (s.label) return false;
+      } else if (label && String(s.label || '').toLowerCase() !== label) {
+        return false;
+      }
+      const ts = Number(s.endTs || 0);
+      return ts >= fromTs && ts <= toTs;
+    });
+  }
 
-    // Island recap (sessions overlay)
-    const recapText = $('#islandRecapText');
-    const recapArt = $('#islandRecapArt');
-    const recapChips = $('#islandRecapChips');
+  function renderSessionsFilterLabels() {
+    const sel = $('#sessFilterLabel');
+    if (!sel) return;
+    fillSessionLabelOptions(sel, sessionsView.filters.label);
+    sessionsView.filters.label = sel.value;
+  }
 
-    if (recapText) {
-      const sessionsCount = state.sessions.length;
+  // Label filter options: all, none, then every label name in use.
+  function fillSessionLabelOptions(sel, prev) {
+    sel.innerHTML = '';
+
+    const add = (value, text) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      sel.appendChild(opt);
+    };
+    add('', 'All labels');
+    add('__none', 'No label');
+    // sessions keep label names, so include names of labels that were since deleted
+    const names = new Map(getLabelsSorted().map(l => [l.name.toLowerCase(), l.name]));
+    state.sessions.forEach(s => {
+      if (s.label && !names.has(s.label.toLowerCase())) names.set(s.label.toLowerCase(), s.label);
+    });
+    names.forEach(name => add(name, name));
+
+    sel.value = [...sel.options].some(o => o.value === prev) ? prev : '';
+  }
+
+  function renderSessionsPage() {
+    const host = $('#sessionsList');
+    if (!host) return;
+    renderSessionsFilterLabels();
+
+    const list = getFilteredSessions();
+    const pages = Math.max(1, Math.ceil(list.length / SESSIONS_PAGE_SIZE));
+    sessionsView.page = clamp(sessionsView.page, 0, pages - 1);
+    const start = sessionsView.page * SESSIONS_PAGE_SIZE;
+    const pageItems = list.slice(start, start + SESSIONS_PAGE_SIZE);
+
+    const totalSec = list.reduce((acc, s) => acc + Number(s.durationSec || 0), 0);
+    $('#sessListSummary').textContent = `${list.length} session${list.length === 1 ? '' : 's'} • ${formatDuration(totalSec)}`;
+    $('#sessPageInfo').textContent = `${sessionsView.page + 1} / ${pages}`;
+    $('#sessPrev').disabled = sessionsView.page <= 0;
+    $('#sessNext').disabled = sessionsView.page >= pages - 1;
+
+    host.innerHTML = '';
+    if (!pageItems.length) {
+      const empty = document.createElement('div');
+      empty.className = 'muted';
+      empty.textContent = state.sessions.length ? 'No sessions match these filters.' : 'No sessions yet. Start a timer to log your first session.';
+      host.appendChild(empty);
+      return;
+    }
+
+    for (const s of pageItems) {
+      const item = document.createElement('div');
+      item.className = 'sessionItem';
+      item.setAttribute('role', 'listitem');
+      item.dataset.sessionId = s.id;
+
+      if (String(s.id) === sessionsView.editingId) {
+        item.classList.add('sessionItem--editing');
+        item.innerHTML = renderSessionEditForm(s);
+        host.appendChild(item);
+        continue;
+      }
+
+      const lbl = s.label ? getLabelByName(s.label) : null;
+      const label = s.label
+        ? `<span class="tagPill tagPill--label" ${lbl?.color ? `style="--pill:${escapeAttr(lbl.color)}"` : ''}>
+             <span class="tagDot" aria-hidden="true"></span>
+             ${escapeHtml(s.label)}
+           </span>`
+        : '';
+
+      item.innerHTML = `
+        <div class="sessionItem__left">
+          <div class="sessionItem__title">${formatDuration(s.durationSec)} <span class="muted">•</span> ${escapeHtml(capitalize(s.method || 'session'))}</div>
+          <div class="sessionItem__meta">${escapeHtml(prettyDateTime(s.startTs))} → ${escapeHtml(new Date(s.endTs).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }))}</div>
+        </div>
+        <div class="sessionTag">
+          ${label}
+          <button class="sessionEditBtn" data-session-edit="${escapeAttr(s.id)}" title="Edit session" aria-label="Edit session">✎</button>
+          <button class="sessionDeleteBtn sessionDeleteBtn--x" data-session-id="${escapeAttr(s.id)}" title="Delete session" aria-label="Delete session">✕</button>
+        </div>
+      `;
+      host.appendChild(item);
+    }
+  }
+
+  function renderSessionEditForm(s) {
+    const labels = getLabelsSorted();
+    const hasLabel = !s.label || labels.some(l => l.name.toLowerCase() === s.label.toLowerCase());
+    const opts = [`<option value="">No label</option>`]
+      .concat(hasLabel ? [] : [`<option value="${escapeAttr(s.label)}">${escapeHtml(s.label)}</option>`])
+      .concat(labels.map(l => `<option value="${escapeAttr(l.name)}">${escapeHtml(l.name)}</option>`))
+      .join('');
+
+    return `
+      <div class="sessionEdit">
+        <div class="formRow">
+          <label class="label">Start</label>
+          <input class="input" type="datetime-local" data-edit-field="start" value="${toDateTimeLocalValue(s.startTs)}" />
+        </div>
+        <div class="formRow">
+          <label class="label">End</label>
+          <input class="input" type="datetime-local" data-edit-field="end" value="${toDateTimeLocalValue(s.endTs)}" />
+        </div>
+        <div class="formRow">
+          <label class="label">Duration (minutes)</label>
+          <input class="input" type="number" min="1" step="1" data-edit-field="duration" value="${Math.round(Number(s.durationSec || 0) / 60)}" />
+        </div>
+        <div class="formRow">
+          <label class="label">Label</label>
+          <select class="input input--select" data-edit-field="label">${opts}</select>
+        </div>
+      </div>
+      <div class="sessionEdit__actions">
+        <button class="btn btn--ghost" data-session-edit-cancel>Cancel</button>
+        <button class="btn btn--primary" data-session-edit-save="${escapeAttr(s.id)}">Save</button>
+      </div>
+    `;
+  }
+
+  // Start/end and duration stay in step: moving a time updates the duration,
+  // changing the duration moves the end time.
+  function onSessionEditInput(e) {
+    const field = e.target?.dataset?.editField;
+    if (!field || field === 'label') return;
+    const item = e.target.closest('.sessionItem');
+    const startEl = item.querySelector('[data-edit-field="start"]');
+    const endEl = item.querySelector('[data-edit-field="end"]');
+    const durEl = item.querySelector('[data-edit-field="duration"]');
+    const startTs = new Date(startEl.value).getTime();
+    const endTs = new Date(endEl.value).getTime();
+
+    if (field === 'duration') {
+      const min = Number(durEl.value);
+      if (Number.isFinite(startTs) && min > 0) endEl.value = toDateTimeLocalValue(startTs + min * 60000);
+    } else if (Number.isFinite(startTs) && Number.isFinite(endTs) && endTs > startTs) {
+      durEl.value = String(Math.round((endTs - startTs) / 60000));
+    }
+  }
+
+  // The form shows whole minutes; a field left as rendered keeps the
+  // session's exact value, so e.g. a label-only edit changes nothing else.
+  function saveSessionEdit(item, sessionId) {
+    const s = state.sessions.find(x => String(x.id) === String(sessionId));
+    if (!s) return;
+    const get = (f) => item.querySelector(`[data-edit-field="${f}"]`)?.value || '';
+    const ok = updateSessionById(sessionId, {
+      startTs: get('start') === toDateTimeLocalValue(s.startTs) ? s.startTs : new Date(get('start')).getTime(),
+      endTs: get('end') === toDateTimeLocalValue(s.endTs) ? s.endTs : new Date(get('end')).getTime(),
+      durationSec: get('duration') === String(Math.round(Number(s.durationSec || 0) / 60))
+        ? s.durationSec
+        : Number(get('duration')) * 60,
+      label: get('label'),
+    });
+    if (ok) {
+      sessionsView.editingId = null;
+      renderSessionsPage();
+    }
+  }
+
+  // ------------------ ISLAND ------------------
+
+  function renderIsland() {
+    const total = state.island.xpSec || 0;
+    const lvl = computeLevel(total);
+
+    $('#islandLevelText').textContent = `Level ${lvl.level}`;
+    $('#islandTotalText').textContent = formatDuration(total);
+    $('#islandNextPercent').textContent = `${lvl.pct}%`;
+    $('#islandFill').style.width = `${lvl.pct}%`;
+    $('#islandMeta').textContent = `${formatDuration(lvl.remainingSec)} left to level ${lvl.level + 1}`;
+
+    // upgrades
+    const host = $('#islandUpgrades');
+    host.innerHTML = '';
+    for (const up of ISLAND_UPGRADES) {
+      const el = document.createElement('div');
+      const unlocked = lvl.level >= up.level;
+      el.className = `upgradeItem ${unlocked ? 'unlocked' : ''}`;
+      el.innerHTML = `
+        <div class="upgradeItem__left">
+          <div class="upgradeItem__title">Level ${up.level} • ${escapeHtml(up.title)}</div>
+          <div class="upgradeItem__meta">${escapeHtml(up.desc)}</div>
+        </div>
+        <div class="upgradeItem__status">${unlocked ? 'Unlocked ✅' : 'Locked 🔒'}</div>
+      `;
+      host.appendChild(el);
+    }
+
+    // Sprite island art (PNG)
+    const sprite = $('#islandSprite');
+    if (sprite) {
+      const n = clamp(lvl.level, 1, 16);
+      sprite.src = `assets/images/island_${String(n).padStart(2,'0')}.png`;
+    }
+    const unlockedCount = ISLAND_UPGRADES.filter(u => lvl.level >= u.level).length;
+    $('#islandUnlocked').textContent = `${unlockedCount}/${ISLAND_UPGRADES.length}`;
+
+    // Island recap (sessions overlay)
+    const recapText = $('#islandRecapText');
+    const recapArt = $('#islandRecapArt');
+    const recapChips = $('#islandRecapChips');
+
+    if (recapText) {
+      const sessionsCount = state.sessions.length;
       const totalSecAll = state.sessions.reduce((acc, s) => acc + (s.durationSec || 0), 0);
       recapText.textContent = `You've logged ${sessionsCount} session${sessionsCount === 1 ? '' : 's'} totalling ${formatDuration(totalSecAll)}.`;
     }
@@ -2109,6 +3792,12 @@ function capitalize(s) {
 
 // ------------------ LABELS ------------------
 
+// Swatches offered by the label and habit color pickers.
+const LABEL_COLORS = [
+  '#6366f1', '#8b5cf6', '#ec4899', '#ef4444', '#f97316', '#eab308',
+  '#84cc16', '#10b981', '#06b6d4', '#3b82f6', '#a855f7', '#f43f5e',
+];
+
 function getLabelById(id) {
   return (state.labels?.items || []).find(l => l.id === id) || null;
 }
@@ -2138,7 +3827,7 @@ function getLabelsSorted() {
 function renderLabelSelects() {
   const labels = getLabelsSorted();
 
-  ['swLabel', 'pomLabel', 'cdLabel'].forEach(id => {
+  ['swLabel', 'pomLabel', 'cdLabel', 'ftLabel'].forEach(id => {
     const sel = $('#' + id);
     if (!sel) return;
 
@@ -2212,7 +3901,9 @@ function renderLabels() {
   renderLabelSelects();
 }
 
-function createLabel({ name, color }) {
+// quiet: no toast or re-render (importers create several labels, then render once).
+// Returns the new label, or false.
+function createLabel({ name, color }, { quiet = false } = {}) {
   const n = (name || '').trim();
   if (!n) {
     toast('Label name required', 'Give your label a short name (e.g., Maths).');
@@ -2228,11 +3919,13 @@ function createLabel({ name, color }) {
   };
 
   state.labels.items.push(label);
+  sbMarkDirty('labels', label.id);
   saveState();
   sbUpsertSoon();
+  if (quiet) return label;
   renderAll();
   toast('Label created', label.name);
-  return true;
+  return label;
 }
 
 function deleteLabel(id) {
@@ -2253,7 +3946,9 @@ function toggleLabelFavorite(id) {
   const l = getLabelById(id);
   if (!l) return;
   l.favorite = !l.favorite;
+  sbMarkDirty('labels', l.id);
   saveState();
+  sbUpsertSoon();
   renderAll();
 }
 
@@ -2348,10 +4043,21 @@ function renderAdvancedStats(){
 
   const byLabel = new Map();
 
+  // Interruptions: pauses recorded inside sessions (older sessions have none).
+  let counted = 0, focusSec = 0, pausedSec = 0, interruptions = 0;
+  const byReason = new Map();
+
   for(const s of sessions){
     const sec = Number(s.durationSec||0);
     if(!sec) continue;
     longest = Math.max(longest, sec);
+    counted++;
+    focusSec += sec;
+    for(const p of (Array.isArray(s.pauses) ? s.pauses : [])){
+      interruptions++;
+      pausedSec += Math.max(0, (Number(p.endTs) - Number(p.startTs)) / 1000) || 0;
+      if(p.reason) byReason.set(p.reason, (byReason.get(p.reason)||0) + 1);
+    }
     const d = new Date(s.startTs || s.ts || Date.now());
     const dayKey = d.toISOString().slice(0,10);
     byDay.set(dayKey, (byDay.get(dayKey)||0)+sec);
@@ -2374,6 +4080,17 @@ function renderAdvancedStats(){
   const elLongest = document.getElementById('longestSession');
   if(elLongest) elLongest.textContent = longest ? formatDuration(longest) : '—';
 
+  const elInterrupts = document.getElementById('interruptionCount');
+  if(elInterrupts) elInterrupts.textContent = counted ? `${interruptions} (${(interruptions / counted).toFixed(1)} per session)` : '—';
+  // focus ratio: time focused out of focused + paused time
+  const elRatio = document.getElementById('focusRatio');
+  if(elRatio) elRatio.textContent = focusSec ? `${Math.round(focusSec / (focusSec + pausedSec) * 100)}%` : '—';
+  const elReason = document.getElementById('topInterruption');
+  if(elReason){
+    const top = Array.from(byReason).sort((a,b) => b[1] - a[1])[0];
+    elReason.textContent = top ? `${top[0]} (${top[1]}×)` : '—';
+  }
+
   // Consistency (7d): how many of last 7 days studied
   const today = new Date();
   let studiedDays = 0;
@@ -2988,6 +4705,7 @@ function renderStatsActivityChart() {
     const capHrsEl = $('#settingsSwCapHours');
     if (capOnEl) capOnEl.checked = (state.profile.stopwatchCapOn !== false);
     if (capHrsEl) capHrsEl.value = String(clamp(Number(state.profile.stopwatchCapHours ?? 6), 1, 24));
+    if ($('#settingsAskPauseReason')) $('#settingsAskPauseReason').checked = (state.profile.askPauseReason !== false);
 
     // manual add label select
     hydrateLabelSelect('#manualLabel', true);
@@ -3022,6 +4740,7 @@ function renderStatsActivityChart() {
     // stopwatch session cap
     state.profile.stopwatchCapOn = !!($('#settingsSwCapOn')?.checked);
     state.profile.stopwatchCapHours = clamp(Number($('#settingsSwCapHours')?.value || 6), 1, 24);
+    state.profile.askPauseReason = !!($('#settingsAskPauseReason')?.checked);
 
     applyVideoBackground();
     applyBackgroundImage();
@@ -3149,7 +4868,9 @@ function addTask(text, desc = '', labelId = '') {
     done: false,
     createdTs: Date.now(),
   });
+  sbMarkDirty('tasks', state.tasks[0].id);
   saveState();
+  sbUpsertSoon();
   renderTasks();
 }
 
@@ -3157,25 +4878,32 @@ function toggleTaskDone(id, done) {
   const t = state.tasks.find(x => x.id === id);
   if (!t) return;
   t.done = !!done;
+  sbMarkDirty('tasks', t.id);
   saveState();
+  sbUpsertSoon();
   renderTasks();
 }
 
 function deleteTask(id) {
   state.tasks = state.tasks.filter(t => t.id !== id);
+  sbQueueDeleteTasks([id]);
   saveState();
   renderTasks();
 }
 
 function clearDoneTasks() {
-  const before = state.tasks.length;
+  const done = state.tasks.filter(t => t.done).map(t => t.id);
   state.tasks = state.tasks.filter(t => !t.done);
-  if (state.tasks.length !== before) saveState();
+  if (done.length) {
+    sbQueueDeleteTasks(done);
+    saveState();
+  }
   renderTasks();
 }
 
 function clearAllTasks() {
   if (!state.tasks.length) return;
+  sbQueueDeleteTasks(state.tasks.map(t => t.id));
   state.tasks = [];
   saveState();
   renderTasks();
@@ -3613,12 +5341,44 @@ function closeMusicModal() {
 
   let activeTimerTab = 'timer';
 
+  // Pause log of a timer run: [{ startTs, endTs, reason }], endTs is 0 while
+  // still paused. Saved sessions keep the finished pauses.
+  function pauseLogOpen(log) {
+    log.push({ startTs: now(), endTs: 0, reason: '' });
+  }
+
+  function pauseLogClose(log) {
+    const last = log[log.length - 1];
+    if (last && !last.endTs) last.endTs = now();
+  }
+
+  // Reward mode a run is saved with: a run restored after a reload keeps the
+  // one it was started under (see resumeRecoveredTimers), else the world view.
+  function runRewardMode(mode) {
+    return normalizeRewardMode(mode || state.ui.worldView || 'island');
+  }
+
+  // saveSession() fields for a run; a run saved while paused ended when the pause began.
+  function pauseLogSession(log, startedAt, endedAt) {
+    const open = log.find(p => !p.endTs);
+    return {
+      startedAt: startedAt || undefined,
+      endedAt: open ? open.startTs : endedAt,
+      pauses: log.filter(p => p.endTs),
+    };
+  }
+
   // Stopwatch
   let swRunning = false;
   let swStartTs = 0;
   let swElapsedSec = 0;
   let swTick = null;
   let swLastChimedHour = 0;
+  // when the run was first started, and its pauses
+  let swStartedAt = 0;
+  let swPauses = [];
+  // reward mode of a restored run ('' = follow the world view)
+  let swRewardMode = '';
 
   function swRender() {
     const cur = swRunning ? (swElapsedSec + (now() - swStartTs) / 1000) : swElapsedSec;
@@ -3645,6 +5405,8 @@ function closeMusicModal() {
       }
     }
 
+    persistActiveTimers();
+
     const swDisp = $('#swDisplay');
     if (!swDisp) return; // view not mounted
     swDisp.textContent = formatHMS(cur);
@@ -3689,6 +5451,8 @@ function swStart() {
     if (swRunning) return;
     swRunning = true;
     swStartTs = now();
+    if (!swStartedAt) swStartedAt = swStartTs;
+    pauseLogClose(swPauses);
     sessEnsureCtx();
     sessSyncAmbient();
 
@@ -3702,6 +5466,7 @@ function swStart() {
     if (!swRunning) return;
     swElapsedSec += (now() - swStartTs) / 1000;
     swRunning = false;
+    pauseLogOpen(swPauses);
     sessSyncAmbient();
     swRender();
   }
@@ -3711,6 +5476,9 @@ function swStart() {
     swStartTs = 0;
     swElapsedSec = 0;
     swLastChimedHour = 0;
+    swStartedAt = 0;
+    swPauses = [];
+    swRewardMode = '';
     swRender();
     sessSyncAmbient();
   }
@@ -3718,7 +5486,7 @@ function swStart() {
   function swEndAndSave() {
     if (swRunning) swPause();
     const dur = swElapsedSec;
-      const reward = normalizeRewardMode(state.ui.worldView || 'island');
+    const reward = runRewardMode(swRewardMode);
     const labelId = $('#swLabel').value || '';
     const label = labelId ? labelNameFromId(labelId) : '';
 
@@ -3727,6 +5495,7 @@ function swStart() {
       method: 'stopwatch',
       rewardMode: reward,
       label,
+      ...pauseLogSession(swPauses, swStartedAt, now()),
     });
 
     if (saved) {
@@ -3735,20 +5504,224 @@ function swStart() {
     }
   }
 
+  // Flowtime: focus runs like the stopwatch (banked seconds plus the running
+  // stretch, with a pause log) until you end it; the session is saved and a
+  // break of focus ÷ ratio counts down.
+  function normalizeFlowtimeRatio(v) {
+    return clamp(Math.round(Number(v) || 5), 2, 12);
+  }
+
+  let ft = {
+    phase: 'focus',
+    running: false,
+    elapsedSec: 0,
+    startTs: 0,
+    // when the focus block was first started, and its pauses
+    startedAt: 0,
+    pauses: [],
+    rewardMode: '',
+    // break countdown (breakEndTs is 0 when no break is counting)
+    breakSec: 0,
+    breakEndTs: 0,
+    remainingSec: 0,
+    interval: null,
+  };
+
+  function ftFocusSec() {
+    return ft.running ? ft.elapsedSec + (now() - ft.startTs) / 1000 : ft.elapsedSec;
+  }
+
+  function ftBreakFor(focusSec) {
+    return Math.max(1, Math.round(focusSec / normalizeFlowtimeRatio(state.profile.flowtimeRatio)));
+  }
+
+  function ftEnsureTick() {
+    if (!ft.interval) ft.interval = setInterval(ftTick, 250);
+  }
+
+  function ftStopTick() {
+    if (ft.interval) clearInterval(ft.interval);
+    ft.interval = null;
+  }
+
+  function ftTick() {
+    if (ft.phase === 'break' && ft.breakEndTs) {
+      ft.remainingSec = Math.max(0, Math.ceil((ft.breakEndTs - now()) / 1000));
+      if (ft.remainingSec <= 0) {
+        playNotifyTone('flowtime');
+        toast('Break over', 'Start the next focus block when you’re ready.');
+        ftToFocus();
+        return;
+      }
+    }
+    ftRender();
+  }
+
+  function ftRender() {
+    const focus = ft.phase === 'focus';
+    const cur = ftFocusSec();
+
+    const disp = $('#ftDisplay');
+    if (disp) disp.textContent = formatHMS(focus ? cur : ft.remainingSec);
+    const chip = $('#ftPhaseChip');
+    if (chip) chip.textContent = focus ? 'Focus' : 'Break';
+    const hint = $('#ftBreakHint');
+    if (hint) {
+      hint.textContent = focus
+        ? `Break earned so far: ${formatHMS(ftBreakFor(cur))}`
+        : `${formatHMS(ft.breakSec)} break for your last focus block`;
+    }
+
+    const startBtn = $('#ftStart');
+    if (startBtn) {
+      startBtn.textContent = ft.running ? 'Pause' : (cur > 0 ? 'Resume' : 'Start');
+      startBtn.classList.toggle('hidden', !focus);
+    }
+    $('#ftEnd')?.classList.toggle('hidden', !focus);
+    if ($('#ftEnd')) $('#ftEnd').disabled = cur < 60;
+    $('#ftReset')?.classList.toggle('hidden', !focus);
+    $('#ftSkipBreak')?.classList.toggle('hidden', focus);
+
+    persistActiveTimers();
+    refreshRunningTitle();
+  }
+
+  function ftStart() {
+    if (ft.running || ft.phase !== 'focus') return;
+    ft.running = true;
+    ft.startTs = now();
+    if (!ft.startedAt) ft.startedAt = ft.startTs;
+    pauseLogClose(ft.pauses);
+    sessEnsureCtx();
+    sessSyncAmbient();
+    ftEnsureTick();
+    ftRender();
+  }
+
+  function ftPause() {
+    if (!ft.running) return;
+    ft.elapsedSec += (now() - ft.startTs) / 1000;
+    ft.running = false;
+    pauseLogOpen(ft.pauses);
+    ftStopTick();
+    sessSyncAmbient();
+    ftRender();
+  }
+
+  function ftToggleStart() {
+    if (ft.running) ftPause();
+    else ftStart();
+  }
+
+  // Drops the focus block in progress (nothing is saved).
+  function ftReset() {
+    ft.running = false;
+    ft.elapsedSec = 0;
+    ft.startTs = 0;
+    ft.startedAt = 0;
+    ft.pauses = [];
+    ft.rewardMode = '';
+    ftStopTick();
+    sessSyncAmbient();
+    ftRender();
+  }
+
+  function ftEndFocus() {
+    if (ft.phase !== 'focus') return;
+    if (ft.running) ftPause();
+    const focusSec = Math.round(ft.elapsedSec);
+    const reward = runRewardMode(ft.rewardMode);
+    const labelId = $('#ftLabel').value || '';
+    const label = labelId ? labelNameFromId(labelId) : '';
+
+    const saved = saveSession({
+      durationSec: focusSec,
+      method: 'flowtime',
+      rewardMode: reward,
+      label,
+      ...pauseLogSession(ft.pauses, ft.startedAt, now()),
+    });
+    if (!saved) return;
+
+    ftReset();
+    ft.phase = 'break';
+    ft.breakSec = ftBreakFor(focusSec);
+    ft.remainingSec = ft.breakSec;
+    ft.breakEndTs = now() + ft.breakSec * 1000;
+    ftEnsureTick();
+    ftRender();
+  }
+
+  function ftToFocus() {
+    ft.phase = 'focus';
+    ft.breakEndTs = 0;
+    ft.remainingSec = 0;
+    if (!ft.running) ftStopTick();
+    ftRender();
+  }
+
+  function setFlowtimeRatio(v) {
+    state.profile.flowtimeRatio = normalizeFlowtimeRatio(v);
+    if ($('#ftRatio')) $('#ftRatio').value = String(state.profile.flowtimeRatio);
+    saveState();
+    ftRender();
+  }
+
   // Pomodoro
   const toInt = (v, fallback) => {
     const n = Number(v);
     return Number.isFinite(n) ? Math.round(n) : fallback;
   };
 
-  const normalizePomSettings = (input = {}) => {
+  // A profile is a named Pomodoro sequence. autoStartBreak/autoStartFocus decide
+  // whether the next phase starts by itself; targetCycles > 0 stops the run after
+  // that many focus sessions; labelId preselects the session label.
+  const normalizePomProfile = (input = {}) => {
     const focusMin = clamp(toInt(input.focusMin, 25), 1, 180);
     const breakMin = clamp(toInt(input.breakMin, 5), 1, 60);
     const longBreakMin = clamp(toInt(input.longBreakMin, 15), 1, 120);
     const longEvery = clamp(toInt(input.longEvery, 4), 2, 12);
-    return { focusMin, breakMin, longBreakMin, longEvery };
+    return {
+      id: String(input.id || `pom_${focusMin}_${breakMin}`),
+      name: String(input.name || '').trim().slice(0, 32) || `${focusMin}/${breakMin}`,
+      focusMin, breakMin, longBreakMin, longEvery,
+      autoStartBreak: input.autoStartBreak !== false,
+      autoStartFocus: input.autoStartFocus !== false,
+      targetCycles: clamp(toInt(input.targetCycles, 0), 0, 24),
+      labelId: String(input.labelId || ''),
+    };
+  };
+
+  // Built-in profiles (fixed ids, so devices that seed them separately still match when synced).
+  const POM_PRESET_PROFILES = [
+    { id: 'pom_52_17', name: '52/17', focusMin: 52, breakMin: 17, longBreakMin: 17, longEvery: 4 },
+    { id: 'pom_deep_90', name: '90-minute deep work', focusMin: 90, breakMin: 20, longBreakMin: 30, longEvery: 2,
+      autoStartFocus: false, targetCycles: 2 },
+  ];
+
+  // state.pomodoro keeps the profiles plus the active profile's settings at the
+  // top level (what the timer, the sync field and older builds read).
+  // Settings from before profiles existed become the "Classic" profile.
+  const normalizePomSettings = (input = {}) => {
+    let profiles = (Array.isArray(input.profiles) ? input.profiles : [])
+      .filter(p => p && typeof p === 'object')
+      .map(normalizePomProfile);
+    profiles = profiles.filter((p, i) => profiles.findIndex(q => q.id === p.id) === i);
+    if (!profiles.length) {
+      profiles = [
+        normalizePomProfile({ ...input, id: 'pom_classic', name: 'Classic' }),
+        ...POM_PRESET_PROFILES.map(normalizePomProfile),
+      ];
+    }
+    const active = profiles.find(p => p.id === input.activeProfileId) || profiles[0];
+    const { id, name, ...settings } = active;
+    return { ...settings, profiles, activeProfileId: id };
   };
 
+  function pomActiveProfile() {
+    return pomSettings.profiles.find(p => p.id === pomSettings.activeProfileId) || pomSettings.profiles[0];
+  }
+
   let pomSettings = normalizePomSettings(state.pomodoro);
 
   let pom = {
@@ -3756,13 +5729,53 @@ function swStart() {
     session: 1,
     running: false,
     remainingSec: pomSettings.focusMin * 60,
+    // length of the current phase, fixed when it is loaded (see pomLoadPhase)
+    phaseSec: pomSettings.focusMin * 60,
+    // wall-clock target while running; remainingSec is derived from it
+    endTs: 0,
+    // focus seconds done in the current focus phase (pauses excluded)
     focusElapsedThisRun: 0,
     interval: null,
+    // when the current focus phase was first started (0 = not started yet)
     focusStartedAt: 0,
+    focusPauses: [],
+    focusRewardMode: '',
   };
 
+  // Remaining time comes from the end timestamp, so throttled background tabs
+  // and sleep/wake gaps can't stretch a phase (same idea as the stopwatch).
+  function pomTick() {
+    if (!pom.running) return;
+    pom.remainingSec = Math.max(0, Math.ceil((pom.endTs - now()) / 1000));
+    if (pom.remainingSec <= 0) {
+      pomRender();
+      pomCompletePhase();
+    } else {
+      pomRender();
+    }
+  }
+
+  // The phase keeps the length it was loaded with: a profile switch synced in
+  // from another device mid-phase must not change what it counts as done.
+  function pomLoadPhase(sec) {
+    pom.phaseSec = sec;
+    pom.remainingSec = sec;
+  }
+
+  // A run that has not started yet follows profile changes from elsewhere.
+  function pomFollowIdleProfile() {
+    const focusSec = pomSettings.focusMin * 60;
+    if (pom.running || pom.phase !== 'focus' || pom.session > 1 || pom.remainingSec !== pom.phaseSec) return;
+    if (pom.phaseSec === focusSec) return;
+    pomLoadPhase(focusSec);
+    pomRender();
+  }
+
   function pomSetPhase(phase) {
     pom.phase = phase;
+    pom.focusStartedAt = 0;
+    pom.focusPauses = [];
+    pom.focusRewardMode = '';
     $('#pomPhaseChip').textContent = phase === 'focus' ? 'Focus' : 'Break';
     $('#pomPhaseChip').className = 'chip';
     if (phase === 'break') {
@@ -3782,12 +5795,15 @@ function swStart() {
       $('#pomDisplay').textContent = formatMMSS(pom.remainingSec);
     }
 
-    $('#pomSessionCount').textContent = String(pom.session);
+    $('#pomSessionCount').textContent = pomSettings.targetCycles ? `${pom.session} / ${pomSettings.targetCycles}` : String(pom.session);
+    // switching profiles resets the run, so not while it is counting down
+    if ($('#pomProfile')) $('#pomProfile').disabled = pom.running;
 
     // Save button
-    const focusDur = pomSettings.focusMin * 60;
-    const elapsed = (pom.phase === 'focus') ? (focusDur - pom.remainingSec) : 0;
+    const elapsed = (pom.phase === 'focus') ? Math.max(0, pom.phaseSec - pom.remainingSec) : 0;
+    pom.focusElapsedThisRun = elapsed;
     $('#pomSave').disabled = !(pom.phase === 'focus' && elapsed >= 60);
+    persistActiveTimers();
     refreshRunningTitle();
 }
 
@@ -3798,23 +5814,21 @@ function swStart() {
     sessSyncAmbient();
     $('#pomStart').textContent = 'Pause';
 
-    pom.interval = setInterval(() => {
-      pom.remainingSec -= 1;
-      if (pom.remainingSec <= 0) {
-        pom.remainingSec = 0;
-        pomRender();
-        pomCompletePhase();
-      } else {
-        pomRender();
-      }
-    }, 1000);
+    pom.endTs = now() + pom.remainingSec * 1000;
+    if (pom.phase === 'focus' && !pom.focusStartedAt) pom.focusStartedAt = now();
+    pauseLogClose(pom.focusPauses);
+    if (pom.interval) clearInterval(pom.interval);
+    pom.interval = setInterval(pomTick, 250);
 
     pomRender();
   }
 
   function pomPause() {
     if (!pom.running) return;
+    pom.remainingSec = Math.max(0, Math.ceil((pom.endTs - now()) / 1000));
+    pom.endTs = 0;
     pom.running = false;
+    if (pom.phase === 'focus' && pom.focusStartedAt) pauseLogOpen(pom.focusPauses);
     sessSyncAmbient();
     $('#pomStart').textContent = 'Start';
     if (pom.interval) clearInterval(pom.interval);
@@ -3830,24 +5844,68 @@ function swStart() {
   function pomReset() {
     pomPause();
     pomSetPhase('focus');
-    pom.remainingSec = pomSettings.focusMin * 60;
+    pomLoadPhase(pomSettings.focusMin * 60);
     pom.session = 1;
     pomRender();
   }
 
 
+  function renderPomProfileSelect() {
+    const sel = $('#pomProfile');
+    if (!sel) return;
+    sel.innerHTML = pomSettings.profiles
+      .map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`)
+      .join('');
+    sel.value = pomSettings.activeProfileId;
+    sel.disabled = pom.running;
+  }
+
+  // Preselects the active profile's label (if it still exists).
+  function pomApplyProfileLabel() {
+    const sel = $('#pomLabel');
+    const id = pomSettings.labelId;
+    if (sel && id && getLabelById(id)) sel.value = id;
+  }
+
+  function pomSelectProfile(id) {
+    if (pom.running || id === pomSettings.activeProfileId) return;
+    pomGuardPartial(() => {
+      state.pomodoro = normalizePomSettings({ ...pomSettings, activeProfileId: id });
+      pomSettings = state.pomodoro;
+      saveState();
+      pomReset();
+      renderPomProfileSelect();
+      pomApplyProfileLabel();
+    }, 'switch profiles');
+    // until the switch happens (or if it is cancelled) the picker shows the current profile
+    renderPomProfileSelect();
+  }
+
   function openPomSettingsModal() {
     pomSettings = normalizePomSettings(state.pomodoro);
+    const profile = pomActiveProfile();
 
     const focusEl = $('#pomFocusInput');
     const shortEl = $('#pomShortInput');
     const longEl = $('#pomLongInput');
     const everyEl = $('#pomEveryInput');
 
+    if ($('#pomProfileNameInput')) $('#pomProfileNameInput').value = profile.name;
     if (focusEl) focusEl.value = String(pomSettings.focusMin);
     if (shortEl) shortEl.value = String(pomSettings.breakMin);
     if (longEl) longEl.value = String(pomSettings.longBreakMin);
     if (everyEl) everyEl.value = String(pomSettings.longEvery);
+    if ($('#pomAutoBreakInput')) $('#pomAutoBreakInput').checked = pomSettings.autoStartBreak;
+    if ($('#pomAutoFocusInput')) $('#pomAutoFocusInput').checked = pomSettings.autoStartFocus;
+    if ($('#pomTargetInput')) $('#pomTargetInput').value = String(pomSettings.targetCycles);
+
+    const labelSel = $('#pomDefaultLabelInput');
+    if (labelSel) {
+      labelSel.innerHTML = '<option value="">No default label</option>' + getLabelsSorted()
+        .map(l => `<option value="${escapeAttr(l.id)}">${escapeHtml(l.name)}</option>`).join('');
+      labelSel.value = getLabelById(pomSettings.labelId) ? pomSettings.labelId : '';
+    }
+    if ($('#pomDeleteProfileBtn')) $('#pomDeleteProfileBtn').disabled = pomSettings.profiles.length < 2;
 
     $('#pomSettingsModal')?.classList.remove('hidden');
   }
@@ -3856,35 +5914,64 @@ function swStart() {
     $('#pomSettingsModal')?.classList.add('hidden');
   }
 
-  function savePomSettingsModal() {
-    const next = normalizePomSettings({
+  // asNew: save the form as a new profile instead of updating the active one.
+  function savePomSettingsModal(asNew = false) {
+    const current = pomActiveProfile();
+    const profile = normalizePomProfile({
+      id: asNew ? uid('pom') : current.id,
+      name: $('#pomProfileNameInput')?.value,
       focusMin: $('#pomFocusInput')?.value,
       breakMin: $('#pomShortInput')?.value,
       longBreakMin: $('#pomLongInput')?.value,
       longEvery: $('#pomEveryInput')?.value,
+      autoStartBreak: !!$('#pomAutoBreakInput')?.checked,
+      autoStartFocus: !!$('#pomAutoFocusInput')?.checked,
+      targetCycles: $('#pomTargetInput')?.value,
+      labelId: $('#pomDefaultLabelInput')?.value,
     });
+    const profiles = asNew
+      ? [...pomSettings.profiles, profile]
+      : pomSettings.profiles.map(p => (p.id === profile.id ? profile : p));
 
+    const next = normalizePomSettings({ profiles, activeProfileId: profile.id });
     state.pomodoro = next;
     pomSettings = next;
     saveState();
 
+    closePomSettingsModal();
     // Apply immediately (prevents "saving" mid-session settings changes)
-    pomReset();
+    pomGuardPartial(pomReset, 'apply the new settings');
+    renderPomProfileSelect();
+    pomApplyProfileLabel();
+    toast(asNew ? 'Pomodoro profile added' : 'Pomodoro settings saved.', asNew ? profile.name : '');
+  }
+
+  function deletePomProfile() {
+    if (pomSettings.profiles.length < 2) return;
+    const profile = pomActiveProfile();
+    if (!confirm(`Delete the Pomodoro profile "${profile.name}"?`)) return;
+    const next = normalizePomSettings({ profiles: pomSettings.profiles.filter(p => p.id !== profile.id) });
+    state.pomodoro = next;
+    pomSettings = next;
+    saveState();
     closePomSettingsModal();
-    toast('Pomodoro settings saved.');
+    pomGuardPartial(pomReset, 'switch profiles');
+    renderPomProfileSelect();
+    pomApplyProfileLabel();
+    toast('Pomodoro profile deleted', profile.name);
   }
 
 
   function pomSkip() {
-    // move to next phase without saving
+    // move to next phase without saving (the Skip button offers to save partial focus first)
     if (pom.phase === 'focus') {
       pomPause();
       pomSetPhase('break');
-      pom.remainingSec = pomSettings.breakMin * 60;
+      pomLoadPhase(pomSettings.breakMin * 60);
     } else {
       pomPause();
       pomSetPhase('focus');
-      pom.remainingSec = pomSettings.focusMin * 60;
+      pomLoadPhase(pomSettings.focusMin * 60);
       pom.session += 1;
     }
     pomRender();
@@ -3893,64 +5980,168 @@ function swStart() {
   function pomCompletePhase() {
     // called when timer hits 0
     playNotifyTone('pom');
-    const focusDur = pomSettings.focusMin * 60;
+    const focusDur = pom.phaseSec;
 
     if (pom.phase === 'focus') {
       // auto-save a full focus session
-      const reward = normalizeRewardMode(state.ui.worldView || 'island');
+      const reward = runRewardMode(pom.focusRewardMode);
       const labelId = $('#pomLabel').value || '';
-    const label = labelId ? labelNameFromId(labelId) : '';
-      saveSession({ durationSec: focusDur, method: 'pomodoro', rewardMode: reward, label });
+      const label = labelId ? labelNameFromId(labelId) : '';
+      // after a sleep/wake gap the focus really ended at endTs, not now
+      saveSession({
+        durationSec: focusDur, method: 'pomodoro', rewardMode: reward, label,
+        ...pauseLogSession(pom.focusPauses, pom.focusStartedAt, pom.endTs || now()),
+      });
+
+      // the profile's target cycle count ends the run
+      if (pomSettings.targetCycles && pom.session >= pomSettings.targetCycles) {
+        const done = pom.session;
+        pomReset();
+        toast('Pomodoro complete', `${done} focus session${done === 1 ? '' : 's'} done. Nice work!`);
+        return;
+      }
 
       // switch to break
       pomSetPhase('break');
       const isLong = (pom.session % pomSettings.longEvery === 0);
-      pom.remainingSec = (isLong ? pomSettings.longBreakMin : pomSettings.breakMin) * 60;
-
-      // keep running
-      pomRender();
+      pomContinue((isLong ? pomSettings.longBreakMin : pomSettings.breakMin) * 60, pomSettings.autoStartBreak);
       return;
     }
 
     // phase break -> move to next focus
     pomSetPhase('focus');
     pom.session += 1;
-    pom.remainingSec = pomSettings.focusMin * 60;
+    pomContinue(pomSettings.focusMin * 60, pomSettings.autoStartFocus);
+  }
+
+  // Loads the next phase; it keeps running only if the profile auto-starts it.
+  function pomContinue(sec, autoStart) {
+    if (!autoStart) pomPause();
+    pomLoadPhase(sec);
+    if (pom.running) pom.endTs = now() + sec * 1000;
+    if (pom.running && pom.phase === 'focus') pom.focusStartedAt = now();
     pomRender();
   }
 
   function pomSaveFocusElapsed() {
     if (pom.phase !== 'focus') return;
-    const focusDur = pomSettings.focusMin * 60;
-    const elapsed = focusDur - pom.remainingSec;
+    const elapsed = pom.focusElapsedThisRun;
     if (elapsed < 60) return;
 
-    const reward = normalizeRewardMode(state.ui.worldView || 'island');
-    const label = $('#pomLabel').value;
+    const reward = runRewardMode(pom.focusRewardMode);
+    const labelId = $('#pomLabel').value || '';
+    const label = labelId ? labelNameFromId(labelId) : '';
 
-    const saved = saveSession({ durationSec: elapsed, method: 'pomodoro', rewardMode: reward, label });
+    const saved = saveSession({
+      durationSec: elapsed, method: 'pomodoro', rewardMode: reward, label,
+      ...pauseLogSession(pom.focusPauses, pom.focusStartedAt, now()),
+    });
     if (saved) {
       pomPause();
       pomSetPhase('focus');
-      pom.remainingSec = pomSettings.focusMin * 60;
+      pomLoadPhase(pomSettings.focusMin * 60);
       pomRender();
       $('#pomLabel').value = '';
+      pomApplyProfileLabel();
     }
   }
 
+  // Skip, Reset and profile changes would drop the focus done so far; past a
+  // minute, ask first. The Pomodoro is paused while the prompt is open, so the
+  // phase can't end underneath it.
+  let pomPartialAction = null;
+  let pomPartialResume = false; // it was running when the prompt opened
+
+  function pomGuardPartial(action, verb) {
+    if (pom.phase !== 'focus' || pom.focusElapsedThisRun < 60) {
+      action();
+      return;
+    }
+    pomPartialResume = pom.running;
+    pomPause();
+    pomPartialAction = action;
+    $('#pomPartialText').textContent =
+      `You've focused for ${formatDuration(pom.focusElapsedThisRun)}. Save it as a session before you ${verb}?`;
+    $('#pomPartialModal')?.classList.remove('hidden');
+  }
+
+  // Cancelling carries on as if the prompt had never paused it.
+  function closePomPartialModal() {
+    if (pomPartialAction && pomPartialResume) {
+      pom.focusPauses.pop();
+      pomStart();
+    }
+    pomPartialAction = null;
+    pomPartialResume = false;
+    $('#pomPartialModal')?.classList.add('hidden');
+  }
+
+  function resolvePomPartial(save) {
+    const action = pomPartialAction;
+    pomPartialAction = null;
+    closePomPartialModal();
+    if (!action) return;
+    if (save) pomSaveFocusElapsed();
+    action();
+  }
+
   // Countdown timer
   let cd = {
     running: false,
     totalSec: 25 * 60,
     remainingSec: 25 * 60,
+    // wall-clock target while running; remainingSec is derived from it
+    endTs: 0,
     interval: null,
+    // when the run was first started, its pauses, and when it reached zero
+    startedAt: 0,
+    pauses: [],
+    finishedAt: 0,
+    rewardMode: '',
   };
 
-  function cdReadInputsToTotal() {
-    const h = clamp(Number($('#cdHours').value || 0), 0, 23);
-    const m = clamp(Number($('#cdMinutes').value || 0), 0, 59);
-    const s = clamp(Number($('#cdSeconds').value || 0), 0, 59);
-    return h * 3600 + m * 60 + s;
+  function cdClearRunLog() {
+    cd.startedAt = 0;
+    cd.pauses = [];
+    cd.finishedAt = 0;
+    cd.rewardMode = '';
+  }
+
+  function cdTick() {
+    if (!cd.running) return;
+    cd.remainingSec = Math.max(0, Math.ceil((cd.endTs - now()) / 1000));
+
+    if (cd.remainingSec <= 0) {
+      cd.running = false;
+      cd.finishedAt = cd.endTs;
+      cd.endTs = 0;
+      sessSyncAmbient();
+      if (cd.interval) clearInterval(cd.interval);
+      cd.interval = null;
+      cdRender();
+      playNotifyTone('timer');
+      toast('Timer finished', 'Nice work! Click “End & Save” to log the time.');
+    } else {
+      cdRender();
+    }
+  }
+
+  function cdRunFromRemaining() {
+    cd.running = true;
+    cd.endTs = now() + cd.remainingSec * 1000;
+    if (!cd.startedAt) cd.startedAt = now();
+    pauseLogClose(cd.pauses);
+    sessEnsureCtx();
+    sessSyncAmbient();
+    if (cd.interval) clearInterval(cd.interval);
+    cd.interval = setInterval(cdTick, 250);
+  }
+
+  function cdReadInputsToTotal() {
+    const h = clamp(Number($('#cdHours').value || 0), 0, 23);
+    const m = clamp(Number($('#cdMinutes').value || 0), 0, 59);
+    const s = clamp(Number($('#cdSeconds').value || 0), 0, 59);
+    return h * 3600 + m * 60 + s;
   }
 
   function cdSetInputsFromTotal(totalSec) {
@@ -4009,6 +6200,7 @@ function swStart() {
 
   if (saveBtn) saveBtn.disabled = elapsed < 60;
   if (saveRow) saveRow.classList.toggle('hidden', cd.running || elapsed < 60);
+  persistActiveTimers();
   refreshRunningTitle();
 }
 
@@ -4022,247 +6214,2169 @@ function cdStart() {
       toast('Set a duration', 'Timer needs at least 1 second.');
       return;
     }
-    cd.totalSec = total;
-    cd.remainingSec = total;
-  }
+    cd.totalSec = total;
+    cd.remainingSec = total;
+    cdClearRunLog();
+  }
+
+  if (cd.remainingSec <= 0) {
+    toast('Set a duration', 'Timer needs at least 1 second.');
+    return;
+  }
+
+  cdRunFromRemaining();
+  cdRender();
+}
+
+// Toggle Pause / Resume
+function cdPause() {
+  // Pause
+  if (cd.running) {
+    cd.remainingSec = Math.max(0, Math.ceil((cd.endTs - now()) / 1000));
+    cd.endTs = 0;
+    cd.running = false;
+    pauseLogOpen(cd.pauses);
+    if (cd.interval) clearInterval(cd.interval);
+    cd.interval = null;
+    cdRender();
+    sessSyncAmbient();
+    return;
+  }
+
+  // Resume
+  const elapsed = Math.max(0, cd.totalSec - cd.remainingSec);
+  if (elapsed <= 0 || cd.remainingSec <= 0 || cd.totalSec <= 0) return;
+
+  cdRunFromRemaining();
+  cdRender();
+}
+
+  function cdReset() {
+    if (cd.interval) clearInterval(cd.interval);
+    cd.interval = null;
+    cd.running = false;
+    cd.endTs = 0;
+    cd.totalSec = cdReadInputsToTotal();
+    cd.remainingSec = cd.totalSec;
+    cdClearRunLog();
+    $('#cdStart').disabled = false;
+    $('#cdPause').disabled = true;
+    cdRender();
+    sessSyncAmbient();
+  }
+
+  function cdSaveAndReset() {
+    if (cd.running) cdPause();
+
+    const elapsed = Math.max(0, cd.totalSec - cd.remainingSec);
+    const reward = runRewardMode(cd.rewardMode);
+    const labelId = $('#cdLabel').value || '';
+    const label = labelId ? labelNameFromId(labelId) : '';
+
+    const saved = saveSession({
+      durationSec: elapsed, method: 'timer', rewardMode: reward, label,
+      ...pauseLogSession(cd.pauses, cd.startedAt, cd.finishedAt || now()),
+    });
+    if (saved) {
+      $('#cdLabel').value = '';
+    }
+
+    // reset
+    cd.totalSec = cdReadInputsToTotal();
+    cd.remainingSec = cd.totalSec;
+    cdClearRunLog();
+    $('#cdSave').disabled = true;
+    cdRender();
+  }
+
+  function setTimerTab(tab) {
+    activeTimerTab = tab;
+
+    // buttons
+    $$('[data-timer-tab]').forEach(btn => {
+      const isActive = btn.dataset.timerTab === tab;
+      btn.classList.toggle('segmented__btn--active', isActive);
+      btn.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+
+    // views
+    $$('[data-timer-view]').forEach(v => {
+      v.classList.toggle('hidden', v.dataset.timerView !== tab);
+    });
+
+    // on switching to clock, update quote
+    if (tab === 'clock') {
+      const q = CLOCK_QUOTES[Math.floor(Math.random() * CLOCK_QUOTES.length)];
+      $('#clockQuote').textContent = q.quote;
+      // author line is the next sibling muted small line
+      const authorP = $('#clockQuote').nextElementSibling;
+      if (authorP) authorP.textContent = `— ${q.author}`;
+    }
+  }
+
+  // ------------------ TIMER PRESETS ------------------
+  // Saved combinations of timer, length, label and session sound (see
+  // normalizeTimerPreset). Starting one switches to its tab and starts it,
+  // unless that timer already has a run in progress.
+
+  const TIMER_PRESET_NAMES = { timer: 'Timer', stopwatch: 'Stopwatch', pomodoro: 'Pomodoro', flowtime: 'Flowtime' };
+  const TIMER_PRESET_LABEL_SELECTS = { timer: '#cdLabel', stopwatch: '#swLabel', pomodoro: '#pomLabel', flowtime: '#ftLabel' };
+
+  function timerPresetSummary(p) {
+    const parts = [TIMER_PRESET_NAMES[p.type]];
+    if (p.type === 'timer') parts.push(formatDuration(p.durationSec));
+    if (p.type === 'pomodoro') {
+      const profile = pomSettings.profiles.find(x => x.id === p.profileId);
+      if (profile) parts.push(profile.name);
+    }
+    const label = p.labelId ? getLabelById(p.labelId) : null;
+    if (label) parts.push(label.name);
+    if (p.ambient) parts.push(p.ambient === 'off' ? 'no sound' : `${p.ambient} sound`);
+    return parts.join(' · ');
+  }
+
+  function renderTimerPresets() {
+    const chips = state.timerPresets
+      .map(p => `<button class="chipBtn" data-preset-start="${escapeAttr(p.id)}" title="${escapeAttr(timerPresetSummary(p))}">${escapeHtml(p.name)}</button>`)
+      .join('');
+    const timerRow = $('#timerPresetChips');
+    if (timerRow) timerRow.innerHTML = `${chips}<button class="chipBtn" data-preset-manage>${state.timerPresets.length ? 'Presets…' : '+ Preset'}</button>`;
+    const dashRow = $('#dashPresetChips');
+    if (dashRow) {
+      dashRow.innerHTML = chips || '<div class="muted small">No presets yet. Add one to start a timer, label and sound in one click.</div>';
+    }
+    if ($('#presetModal') && !$('#presetModal').classList.contains('hidden')) renderPresetList();
+  }
+
+  function renderPresetList() {
+    const list = $('#presetList');
+    if (!list) return;
+    list.innerHTML = state.timerPresets.length
+      ? state.timerPresets.map(p => `
+        <div class="presetRow">
+          <div>
+            <div>${escapeHtml(p.name)}</div>
+            <div class="muted small">${escapeHtml(timerPresetSummary(p))}</div>
+          </div>
+          <button class="iconBtn" data-preset-delete="${escapeAttr(p.id)}" aria-label="Delete preset ${escapeAttr(p.name)}">✕</button>
+        </div>`).join('')
+      : '<div class="muted small">No presets yet.</div>';
+  }
+
+  function presetFormTypeChanged() {
+    const type = $('#presetType').value;
+    $('#presetDurationRow').classList.toggle('hidden', type !== 'timer');
+    $('#presetProfileRow').classList.toggle('hidden', type !== 'pomodoro');
+  }
+
+  function openPresetModal() {
+    const labels = getLabelsSorted();
+    $('#presetLabel').innerHTML = '<option value="">No label</option>' + labels
+      .map(l => `<option value="${escapeAttr(l.id)}">${escapeHtml(l.name)}</option>`)
+      .join('');
+    $('#presetProfile').innerHTML = '<option value="">Active profile</option>' + pomSettings.profiles
+      .map(p => `<option value="${escapeAttr(p.id)}">${escapeHtml(p.name)}</option>`)
+      .join('');
+    $('#presetName').value = '';
+    presetFormTypeChanged();
+    renderPresetList();
+    $('#presetModal').classList.remove('hidden');
+  }
+
+  function closePresetModal() {
+    $('#presetModal')?.classList.add('hidden');
+  }
+
+  function addPresetFromForm() {
+    if (state.timerPresets.length >= TIMER_PRESET_MAX) {
+      toast('Too many presets', `Keep at most ${TIMER_PRESET_MAX}; delete one first.`);
+      return;
+    }
+    const name = $('#presetName').value.trim();
+    if (!name) {
+      toast('Name needed', 'Give the preset a short name, like "Maths 45m".');
+      return;
+    }
+    if (state.timerPresets.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+      toast('Name taken', 'Another preset already has that name.');
+      return;
+    }
+    const type = $('#presetType').value;
+    const durationSec = clamp(Number($('#presetHours').value) || 0, 0, 23) * 3600
+      + clamp(Number($('#presetMinutes').value) || 0, 0, 59) * 60;
+    if (type === 'timer' && durationSec < 60) {
+      toast('Set a length', 'Countdown presets need at least 1 minute.');
+      return;
+    }
+    const preset = normalizeTimerPreset({
+      name,
+      type,
+      durationSec,
+      profileId: $('#presetProfile').value,
+      labelId: $('#presetLabel').value,
+      ambient: $('#presetAmbient').value,
+    });
+    state.timerPresets = [...state.timerPresets, preset];
+    saveState();
+    $('#presetName').value = '';
+    renderTimerPresets();
+    renderPresetList();
+    toast('Preset added', preset.name);
+  }
+
+  function deleteTimerPreset(id) {
+    state.timerPresets = state.timerPresets.filter(p => p.id !== id);
+    saveState();
+    renderTimerPresets();
+    renderPresetList();
+  }
+
+  // A run in progress (running, paused or not yet saved) is never replaced.
+  function timerPresetBusy(type) {
+    if (type === 'timer') return cd.running || (cd.totalSec > 0 && cd.remainingSec < cd.totalSec);
+    if (type === 'stopwatch') return swRunning || swElapsedSec > 0;
+    if (type === 'pomodoro') return pom.running || pom.phase !== 'focus' || pom.remainingSec !== pom.phaseSec;
+    return ft.running || ft.elapsedSec > 0;
+  }
+
+  function startTimerPreset(id) {
+    const p = state.timerPresets.find(x => x.id === id);
+    if (!p) return;
+    setRoute('timer');
+    setTimerTab(p.type);
+    if (timerPresetBusy(p.type)) {
+      toast(`${TIMER_PRESET_NAMES[p.type]} in use`, 'Finish or reset the current run, then start the preset again.');
+      return;
+    }
+
+    if (p.ambient) {
+      state.profile.sessionAmbient = { ...(state.profile.sessionAmbient || { volume: 0.4 }), type: p.ambient };
+      $$('input[name="sessAmbTypeDock"]').forEach(r => { r.checked = (r.value === p.ambient); });
+      saveState();
+    }
+    if (p.type === 'pomodoro' && pomSettings.profiles.some(x => x.id === p.profileId)) pomSelectProfile(p.profileId);
+    const labelSel = $(TIMER_PRESET_LABEL_SELECTS[p.type]);
+    if (labelSel && p.labelId && getLabelById(p.labelId)) labelSel.value = p.labelId;
+
+    if (p.type === 'timer') {
+      cdSetInputsFromTotal(p.durationSec);
+      cdStart();
+    } else if (p.type === 'stopwatch') {
+      swStart();
+    } else if (p.type === 'pomodoro') {
+      pomStart();
+    } else {
+      // a pending break is skipped: the preset asks for focus now
+      if (ft.phase === 'break') ftToFocus();
+      ftStart();
+    }
+    persistActiveTimers();
+  }
+
+  // ------------------ TIMER RECOVERY ------------------
+  // Running timers live in memory, so a closed tab or crash would lose an
+  // in-progress session. A small snapshot is kept in localStorage (written
+  // synchronously, unlike IndexedDB) and offered back on the next load.
+  // Time while the page was closed is not counted: timers resume from the
+  // last moment they were seen.
+
+  let timerRecovery = null; // snapshot waiting for the user's choice
+  let lastTimerSnapshotJson = null;
+
+  function captureActiveTimers() {
+    const snap = {};
+    const t = now();
+
+    const swCur = getStopwatchElapsedSec();
+    if (swRunning || swCur > 0) {
+      snap.sw = {
+        running: swRunning,
+        elapsedSec: swElapsedSec,
+        startTs: swStartTs,
+        // a running stopwatch is derived from startTs; seenTs bounds it after a crash
+        seenTs: swRunning ? Math.floor(t / 5000) * 5000 : 0,
+        startedAt: swStartedAt,
+        pauses: swPauses,
+        labelId: $('#swLabel')?.value || '',
+        rewardMode: runRewardMode(swRewardMode),
+      };
+    }
+
+    // Flowtime focus only: a break has no time to lose
+    if (ft.phase === 'focus' && (ft.running || ft.elapsedSec > 0)) {
+      snap.ft = {
+        running: ft.running,
+        elapsedSec: ft.elapsedSec,
+        startTs: ft.startTs,
+        seenTs: ft.running ? Math.floor(t / 5000) * 5000 : 0,
+        startedAt: ft.startedAt,
+        pauses: ft.pauses,
+        labelId: $('#ftLabel')?.value || '',
+        rewardMode: runRewardMode(ft.rewardMode),
+      };
+    }
+
+    if (cd.totalSec > 0 && (cd.running || cd.remainingSec < cd.totalSec)) {
+      snap.cd = {
+        running: cd.running,
+        totalSec: cd.totalSec,
+        remainingSec: cd.remainingSec,
+        startedAt: cd.startedAt,
+        pauses: cd.pauses,
+        finishedAt: cd.finishedAt,
+        labelId: $('#cdLabel')?.value || '',
+        rewardMode: runRewardMode(cd.rewardMode),
+      };
+    }
+
+    if (pom.running || pom.phase !== 'focus' || pom.session > 1 || pom.remainingSec !== pom.phaseSec) {
+      snap.pom = {
+        running: pom.running,
+        phase: pom.phase,
+        session: pom.session,
+        remainingSec: pom.remainingSec,
+        phaseSec: pom.phaseSec,
+        focusStartedAt: pom.focusStartedAt,
+        focusPauses: pom.focusPauses,
+        labelId: $('#pomLabel')?.value || '',
+        rewardMode: runRewardMode(pom.focusRewardMode),
+      };
+    }
+
+    if (!snap.sw && !snap.ft && !snap.cd && !snap.pom) return null;
+    snap.savedTs = t;
+    return snap;
+  }
+
+  function persistActiveTimers() {
+    // Keep the old snapshot until the recovery prompt is answered.
+    if (timerRecovery) return;
+
+    const snap = captureActiveTimers();
+    if (!snap) {
+      if (lastTimerSnapshotJson !== '') storage.removeItem(ACTIVE_TIMER_KEY);
+      lastTimerSnapshotJson = '';
+      return;
+    }
+
+    // savedTs changes every call; compare without it to skip redundant writes.
+    const json = JSON.stringify({ ...snap, savedTs: 0 });
+    if (json === lastTimerSnapshotJson) return;
+    lastTimerSnapshotJson = json;
+    storage.setItem(ACTIVE_TIMER_KEY, JSON.stringify(snap));
+  }
+
+  function loadActiveTimers() {
+    try {
+      const raw = storage.getItem(ACTIVE_TIMER_KEY);
+      if (!raw) return null;
+      const snap = JSON.parse(raw);
+      if (!snap || typeof snap !== 'object') return null;
+      const savedTs = Number(snap.savedTs) || now();
+
+      // stopwatch and flowtime focus count up the same way
+      ['sw', 'ft'].forEach(key => {
+        const sw = snap[key];
+        if (!sw) return;
+        let elapsed = Math.max(0, Number(sw.elapsedSec) || 0);
+        if (sw.running && Number(sw.startTs) > 0) {
+          const seen = Math.max(Number(sw.seenTs) || 0, savedTs);
+          elapsed += Math.max(0, seen - Number(sw.startTs)) / 1000;
+        }
+        snap[key] = { ...sw, elapsedSec: elapsed };
+      });
+      if (snap.cd && !(Number(snap.cd.totalSec) > 0)) delete snap.cd;
+      if (snap.pom && !['focus', 'break'].includes(snap.pom.phase)) delete snap.pom;
+
+      if (!snap.sw && !snap.ft && !snap.cd && !snap.pom) return null;
+      for (const key of ['sw', 'ft', 'cd', 'pom']) {
+        if (snap[key]) snap[key].rewardMode = snap[key].rewardMode ? normalizeRewardMode(snap[key].rewardMode) : '';
+      }
+      snap.savedTs = savedTs;
+      return snap;
+    } catch {
+      return null;
+    }
+  }
+
+  function timerRecoveryFocusSec(snap) {
+    const out = {};
+    if (snap.sw) out.sw = snap.sw.elapsedSec;
+    if (snap.ft) out.ft = snap.ft.elapsedSec;
+    if (snap.cd) out.cd = Math.max(0, snap.cd.totalSec - snap.cd.remainingSec);
+    // older snapshots stored the focus length as focusSec
+    if (snap.pom) out.pom = snap.pom.phase === 'focus' ? Math.max(0, (snap.pom.phaseSec ?? snap.pom.focusSec) - snap.pom.remainingSec) : 0;
+    return out;
+  }
+
+  function openTimerRecoveryModal(snap) {
+    timerRecovery = snap;
+
+    const focus = timerRecoveryFocusSec(snap);
+    const rows = [];
+    if (snap.sw) rows.push(['Stopwatch', `${formatHMS(focus.sw)} ${snap.sw.running ? 'running' : 'paused'}`]);
+    if (snap.ft) rows.push(['Flowtime', `${formatHMS(focus.ft)} of focus ${snap.ft.running ? 'running' : 'paused'}`]);
+    if (snap.cd) rows.push(['Timer', `${formatHMS(focus.cd)} of ${formatHMS(snap.cd.totalSec)} done`]);
+    if (snap.pom) {
+      rows.push(['Pomodoro', snap.pom.phase === 'focus'
+        ? `Focus #${snap.pom.session} • ${formatMMSS(focus.pom)} done`
+        : `Break after focus #${snap.pom.session} • ${formatMMSS(snap.pom.remainingSec)} left`]);
+    }
+
+    const list = $('#timerRecoveryList');
+    if (list) {
+      list.innerHTML = '';
+      rows.forEach(([name, detail]) => {
+        const row = document.createElement('div');
+        row.className = 'sessionItem';
+        row.innerHTML = `<div class="sessionItem__left"><div class="sessionItem__title">${escapeHtml(name)}</div><div class="sessionItem__meta">${escapeHtml(detail)}</div></div>`;
+        list.appendChild(row);
+      });
+    }
+
+    const when = $('#timerRecoveryWhen');
+    if (when) when.textContent = new Date(snap.savedTs).toLocaleString();
+
+    $('#timerRecoveryModal')?.classList.remove('hidden');
+  }
+
+  function closeTimerRecoveryModal() {
+    $('#timerRecoveryModal')?.classList.add('hidden');
+  }
+
+  function resolveTimerRecovery(choice) {
+    const snap = timerRecovery;
+    if (!snap) return;
+    timerRecovery = null;
+    closeTimerRecoveryModal();
+
+    if (choice === 'resume') resumeRecoveredTimers(snap);
+    if (choice === 'save') saveRecoveredTimers(snap);
+
+    lastTimerSnapshotJson = null;
+    persistActiveTimers();
+  }
+
+  // A recovered timer's pause log; if it was running when Bloomora closed,
+  // the closed time is a pause that starts at the snapshot.
+  function recoveredPauses(t, savedTs) {
+    const list = Array.isArray(t.pauses) ? t.pauses.map(p => ({ ...p })) : [];
+    if (t.running) list.push({ startTs: savedTs, endTs: 0, reason: 'Bloomora was closed' });
+    return list;
+  }
+
+  function resumeRecoveredTimers(snap) {
+    if (snap.sw) {
+      swReset();
+      swElapsedSec = snap.sw.elapsedSec;
+      swLastChimedHour = Math.floor(swElapsedSec / 3600);
+      swStartedAt = Number(snap.sw.startedAt) || 0;
+      swPauses = recoveredPauses(snap.sw, snap.savedTs);
+      swRewardMode = snap.sw.rewardMode;
+      if ($('#swLabel')) $('#swLabel').value = snap.sw.labelId || '';
+      if (snap.sw.running) swStart();
+      else swRender();
+    }
+
+    if (snap.ft) {
+      ftToFocus();
+      ftReset();
+      ft.elapsedSec = snap.ft.elapsedSec;
+      ft.startedAt = Number(snap.ft.startedAt) || 0;
+      ft.pauses = recoveredPauses(snap.ft, snap.savedTs);
+      ft.rewardMode = snap.ft.rewardMode;
+      if ($('#ftLabel')) $('#ftLabel').value = snap.ft.labelId || '';
+      if (snap.ft.running) ftStart();
+      else ftRender();
+    }
+
+    if (snap.cd) {
+      cdSetInputsFromTotal(snap.cd.totalSec);
+      cd.totalSec = snap.cd.totalSec;
+      cd.remainingSec = clamp(Number(snap.cd.remainingSec) || 0, 0, cd.totalSec);
+      cd.startedAt = Number(snap.cd.startedAt) || 0;
+      cd.pauses = recoveredPauses(snap.cd, snap.savedTs);
+      cd.finishedAt = Number(snap.cd.finishedAt) || 0;
+      cd.rewardMode = snap.cd.rewardMode;
+      if ($('#cdLabel')) $('#cdLabel').value = snap.cd.labelId || '';
+      if (snap.cd.running && cd.remainingSec > 0) cdStart();
+      else cdRender();
+    }
+
+    if (snap.pom) {
+      pomPause();
+      pomSetPhase(snap.pom.phase);
+      pom.session = Math.max(1, Math.round(Number(snap.pom.session) || 1));
+      pom.remainingSec = Math.max(0, Math.round(Number(snap.pom.remainingSec) || 0));
+      pom.phaseSec = Math.max(pom.remainingSec, Math.round(Number(snap.pom.phaseSec ?? snap.pom.focusSec) || 0));
+      if (snap.pom.phase === 'focus') {
+        pom.focusStartedAt = Number(snap.pom.focusStartedAt) || 0;
+        pom.focusPauses = recoveredPauses({ ...snap.pom, pauses: snap.pom.focusPauses }, snap.savedTs);
+        pom.focusRewardMode = snap.pom.rewardMode;
+      }
+      if ($('#pomLabel')) $('#pomLabel').value = snap.pom.labelId || '';
+      if (snap.pom.running && pom.remainingSec > 0) pomStart();
+      else pomRender();
+    }
+
+    toast('Timer restored', 'Picked up where you left off.');
+  }
+
+  function saveRecoveredTimers(snap) {
+    const focus = timerRecoveryFocusSec(snap);
+    const endedAt = snap.savedTs;
+    const labelOf = (t) => (t.labelId ? labelNameFromId(t.labelId) : '');
+
+    const runOf = (t, startedAt, pauses, end = endedAt) =>
+      pauseLogSession(recoveredPauses({ ...t, pauses }, endedAt), Number(startedAt) || 0, end);
+
+    if (snap.sw) {
+      saveSession({
+        durationSec: focus.sw, method: 'stopwatch', rewardMode: snap.sw.rewardMode, label: labelOf(snap.sw),
+        ...runOf(snap.sw, snap.sw.startedAt, snap.sw.pauses),
+      });
+    }
+    if (snap.ft) {
+      saveSession({
+        durationSec: focus.ft, method: 'flowtime', rewardMode: snap.ft.rewardMode, label: labelOf(snap.ft),
+        ...runOf(snap.ft, snap.ft.startedAt, snap.ft.pauses),
+      });
+    }
+    if (snap.cd) {
+      saveSession({
+        durationSec: focus.cd, method: 'timer', rewardMode: snap.cd.rewardMode, label: labelOf(snap.cd),
+        // a countdown that reached zero ended then, not at the snapshot
+        ...runOf(snap.cd, snap.cd.startedAt, snap.cd.pauses, Number(snap.cd.finishedAt) || endedAt),
+      });
+    }
+    if (snap.pom && focus.pom > 0) {
+      saveSession({
+        durationSec: focus.pom, method: 'pomodoro', rewardMode: snap.pom.rewardMode, label: labelOf(snap.pom),
+        ...runOf(snap.pom, snap.pom.focusStartedAt, snap.pom.focusPauses),
+      });
+    }
+  }
+
+  // ------------------ PAUSE REASONS ------------------
+
+  // The pause entry waiting for a reason (null when the prompt is closed).
+  let pauseReasonEntry = null;
+
+  // Asks why a timer was paused; log is the run's pause log, whose last entry
+  // is the pause that just began.
+  function askPauseReason(log) {
+    const entry = log[log.length - 1];
+    if (state.profile.askPauseReason === false || !entry || entry.endTs) return;
+    pauseReasonEntry = entry;
+    $('#pauseReasonInput').value = '';
+    $('#pauseReasonNever').checked = false;
+    $('#pauseReasonModal')?.classList.remove('hidden');
+  }
+
+  function closePauseReasonModal() {
+    pauseReasonEntry = null;
+    $('#pauseReasonModal')?.classList.add('hidden');
+  }
+
+  // reason '' skips; the entry keeps living in the timer's pause log.
+  function savePauseReason(reason) {
+    if (pauseReasonEntry) pauseReasonEntry.reason = String(reason || '').trim().slice(0, 40);
+    if ($('#pauseReasonNever')?.checked) {
+      state.profile.askPauseReason = false;
+      saveState();
+      toast('Pause reasons off', 'Turn them back on in Settings.');
+    }
+    closePauseReasonModal();
+    persistActiveTimers();
+  }
+
+  // ------------------ NAV CLOCK ------------------
+
+  function renderNavClock() {
+    const d = new Date();
+    const t = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    $('#navClock').textContent = t;
+
+    // clock page
+    if ($('#clockTime')) {
+      const time = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      $('#clockTime').textContent = time;
+
+      const ampm = d.toLocaleTimeString(undefined, { hour: '2-digit' }).includes('AM') ? 'AM' :
+                   d.toLocaleTimeString(undefined, { hour: '2-digit' }).includes('PM') ? 'PM' : '';
+      // Some locales don't show AM/PM; we derive from hour
+      const hr = d.getHours();
+      const ampm2 = hr >= 12 ? 'PM' : 'AM';
+      $('#clockAmPm').textContent = ampm || ampm2;
+
+      $('#clockDate').textContent = d.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+    }
+  }
+
+function updateTimerHeaderClock() {
+  // Keep title/nav clock in sync with any running timer.
+  try { refreshRunningTitle(); } catch (e) {}
+  try { renderNavClock(); } catch (e) {}
+}
+
+
+  // ------------------ EXPORT/IMPORT ------------------
+
+  function exportState() {
+    const filename = `bloomora_backup_${new Date().toISOString().slice(0,10)}.json`;
+    downloadText(filename, JSON.stringify(state, null, 2));
+    toast('Exported', 'Backup JSON downloaded.');
+  }
+
+  function importStateFromFile(file) {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result || '');
+      const parsed = safeParseJson(text);
+
+      // Encrypted backups are imported once the passphrase is entered.
+      if (parsed.ok && isBackupEnvelope(parsed.value)) {
+        openBackupPassModal('import', parsed.value);
+        return;
+      }
+      if (parsed.ok && parsed.value && Array.isArray(parsed.value.sessions)) {
+        importBackupObject(parsed.value);
+        return;
+      }
+
+      // Not a Bloomora backup: maybe another app's export.
+      const importer = detectSessionImporter(text, file.name);
+      if (importer) {
+        openSessionImportModal(text, file.name || 'import', importer);
+        return;
+      }
+      if (!parsed.ok) {
+        toast('Import failed', 'That file is not a Bloomora backup or a supported export from another app.');
+        return;
+      }
+      importBackupObject(parsed.value);
+    };
+    reader.readAsText(file);
+  }
+
+  function importBackupObject(incoming) {
+    if (!incoming || typeof incoming !== 'object' || !Array.isArray(incoming.sessions)) {
+      toast('Import failed', 'File structure did not look like a Bloomora backup.');
+      return;
+    }
+
+    if (stateVersionOf(incoming) > STATE_VERSION) {
+      toast('Newer backup', 'This backup was made by a newer version of Bloomora; some data may be ignored.');
+    }
+
+    // Record-level checks run on the migrated copy, then the same repair path
+    // as locally persisted state.
+    let checked;
+    try {
+      checked = validateBackup(migrateState(incoming));
+    } catch (e) {
+      console.warn(e);
+      toast('Import failed', 'This backup could not be read: ' + (e?.message || e));
+      return;
+    }
+    openImportModal(hydrateState(checked.value), checked.report);
+  }
+
+  // ------------------ SESSION IMPORTERS ------------------
+  // Exports from other focus/time trackers, turned into Bloomora sessions.
+  // An importer is { id, name, detect(text, fileName), read(text) }; read()
+  // returns one entry per source record: { startTs, endTs, durationSec, label, method }
+  // (any of the three times may be missing) or { skip: reason }. Files that
+  // aren't Bloomora backups are offered to each importer in order, and
+  // nothing is saved until the dry-run preview is confirmed.
+
+  const SESSION_IMPORTERS = [];
+
+  function registerSessionImporter(importer) {
+    SESSION_IMPORTERS.push(importer);
+  }
+
+  function detectSessionImporter(text, fileName) {
+    return SESSION_IMPORTERS.find(imp => {
+      try { return imp.detect(text, fileName); } catch (e) { return false; }
+    }) || null;
+  }
+
+  // CSV rows as objects keyed by lower-cased header.
+  function csvRecords(text) {
+    const rows = parseCsv(text);
+    const header = (rows[0] || []).map(h => String(h).trim().toLowerCase());
+    return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, String(r[i] ?? '').trim()])));
+  }
+
+  function csvHeaderHas(text, ...names) {
+    const header = (parseCsv(String(text).split(/\r?\n/, 1)[0])[0] || []).map(h => String(h).trim().toLowerCase());
+    return names.every(n => header.includes(n));
+  }
+
+  // Day/month order for a column of slash dates: day first only if some value proves it.
+  function slashDateFormat(values) {
+    return values.some(v => /^(1[3-9]|[23]\d)[/.-]/.test(v)) ? 'dmy' : 'mdy';
+  }
+
+  registerSessionImporter({
+    id: 'clockify-csv',
+    name: 'Clockify (CSV)',
+    detect: (text) => csvHeaderHas(text, 'start date', 'start time', 'project') &&
+      (csvHeaderHas(text, 'duration (h)') || csvHeaderHas(text, 'duration (decimal)')),
+    read(text) {
+      const recs = csvRecords(text);
+      const tz = deviceTimeZone();
+      const format = slashDateFormat(recs.map(r => r['start date']));
+      const date = (d, t) => (d ? parseCsvDate(`${d} ${t}`.trim(), /^\d{4}-/.test(d) ? 'auto' : format, tz) : null);
+      return recs.map(r => ({
+        startTs: date(r['start date'], r['start time']),
+        endTs: date(r['end date'], r['end time']),
+        durationSec: r['duration (h)'] ? parseCsvDuration(r['duration (h)'], 'hms') : parseCsvDuration(r['duration (decimal)'], 'hours'),
+        label: r.project || (r.tags || '').split(',')[0],
+      }));
+    },
+  });
+
+  registerSessionImporter({
+    id: 'toggl-csv',
+    name: 'Toggl Track (CSV)',
+    detect: (text) => csvHeaderHas(text, 'start date', 'start time', 'end date', 'end time', 'duration', 'project'),
+    read(text) {
+      const tz = deviceTimeZone();
+      const date = (d, t) => (d ? parseCsvDate(`${d} ${t}`.trim(), 'auto', tz) : null);
+      return csvRecords(text).map(r => ({
+        startTs: date(r['start date'], r['start time']),
+        endTs: date(r['end date'], r['end time']),
+        durationSec: parseCsvDuration(r.duration, 'auto'),
+        label: r.project || (r.tags || '').split(',')[0],
+      }));
+    },
+  });
+
+  registerSessionImporter({
+    id: 'forest-csv',
+    name: 'Forest (CSV)',
+    detect: (text) => csvHeaderHas(text, 'start time', 'end time', 'tag', 'is success'),
+    read(text) {
+      const tz = deviceTimeZone();
+      return csvRecords(text).map(r => {
+        if (/^false$/i.test(r['is success'])) return { skip: 'tree withered (session was not completed)' };
+        return {
+          startTs: parseCsvDate(r['start time'], 'auto', tz),
+          endTs: parseCsvDate(r['end time'], 'auto', tz),
+          label: r.tag,
+          method: 'timer',
+        };
+      });
+    },
+  });
+
+  // JSON time entries: an array, or { time_entries | entries | data: [...] }, of
+  // objects with start/stop (or end) times, an optional duration in seconds and
+  // a project or tags (Toggl's API export and similar).
+  function jsonTimeEntries(text) {
+    const parsed = safeParseJson(text);
+    if (!parsed.ok) return null;
+    const v = parsed.value;
+    const list = Array.isArray(v) ? v : (v && (v.time_entries || v.entries || v.data));
+    if (!Array.isArray(list) || !list.length) return null;
+    const hasStart = (e) => e && typeof e === 'object' && ['start', 'started_at', 'startTime', 'start_time'].some(k => k in e);
+    return list.every(hasStart) ? list : null;
+  }
+
+  registerSessionImporter({
+    id: 'json-time-entries',
+    name: 'Time entries (JSON)',
+    detect: (text) => !!jsonTimeEntries(text),
+    read(text) {
+      const tz = deviceTimeZone();
+      const pick = (e, keys) => keys.map(k => e[k]).find(v => v != null && v !== '');
+      const ts = (v) => (v == null ? null : parseCsvDate(String(v), 'auto', tz));
+      return jsonTimeEntries(text).map(e => {
+        const seconds = Number(pick(e, ['duration', 'duration_sec', 'seconds']));
+        const minutes = Number(pick(e, ['duration_min', 'minutes']));
+        // Toggl marks a running entry with a negative duration.
+        if (seconds < 0) return { skip: 'entry is still running' };
+        const tags = Array.isArray(e.tags) ? e.tags : [];
+        return {
+          startTs: ts(pick(e, ['start', 'started_at', 'startTime', 'start_time'])),
+          endTs: ts(pick(e, ['stop', 'end', 'ended_at', 'endTime', 'end_time'])),
+          durationSec: Number.isFinite(seconds) ? seconds : (Number.isFinite(minutes) ? minutes * 60 : null),
+          label: String(pick(e, ['project', 'project_name', 'projectName', 'label', 'category', 'tag']) ?? tags[0] ?? ''),
+        };
+      });
+    },
+  });
+
+  let sessionImport = { text: '', fileName: '' };
+
+  // Dry run: what importing `text` with `importer` would add, without touching state.
+  function planSessionImport(importer, text) {
+    const plan = { sessions: [], newLabels: [], duplicates: 0, skipped: [], warnings: [], error: '' };
+    let records;
+    try {
+      records = importer.read(text);
+    } catch (e) {
+      plan.error = e?.message || String(e);
+      return plan;
+    }
+    const existing = new Set(state.sessions.map(s => sessionImportKey(s.startTs, s.durationSec)));
+    const newLabels = new Map();
+    records.forEach((r, i) => {
+      const row = i + 1;
+      if (r.skip) return plan.skipped.push({ row, reason: r.skip });
+      const toNum = (v) => (v == null || !Number.isFinite(Number(v)) ? null : Number(v));
+      const times = completeSessionTimes(toNum(r.startTs), toNum(r.endTs), toNum(r.durationSec));
+      if (typeof times === 'string') return plan.skipped.push({ row, reason: times });
+
+      const key = sessionImportKey(times.startTs, times.durationSec);
+      if (existing.has(key)) { plan.duplicates++; return; }
+      existing.add(key);
+      if (times.warning) plan.warnings.push({ row, reason: times.warning });
+
+      let label = String(r.label || '').trim().slice(0, 24);
+      if (label) {
+        const known = getLabelByName(label);
+        if (known) label = known.name;
+        else if (newLabels.has(label.toLowerCase())) label = newLabels.get(label.toLowerCase());
+        else newLabels.set(label.toLowerCase(), label);
+      }
+      plan.sessions.push({
+        durationSec: times.durationSec,
+        startedAt: times.startTs,
+        endedAt: times.endTs,
+        method: CSV_METHODS.has(r.method) ? r.method : 'manual',
+        label,
+      });
+    });
+    plan.newLabels = Array.from(newLabels.values());
+    return plan;
+  }
+
+  function openSessionImportModal(text, fileName, importer) {
+    sessionImport = { text, fileName };
+    const sel = $('#sessionImportFormat');
+    sel.innerHTML = SESSION_IMPORTERS.map(imp => `<option value="${escapeAttr(imp.id)}">${escapeHtml(imp.name)}</option>`).join('');
+    sel.value = importer.id;
+    renderSessionImportPreview();
+    $('#sessionImportModal').classList.remove('hidden');
+  }
+
+  function closeSessionImportModal() {
+    sessionImport = { text: '', fileName: '' };
+    $('#sessionImportModal')?.classList.add('hidden');
+  }
+
+  function selectedSessionImporter() {
+    return SESSION_IMPORTERS.find(imp => imp.id === $('#sessionImportFormat').value) || null;
+  }
+
+  function renderSessionImportPreview() {
+    const importer = selectedSessionImporter();
+    if (!importer) return;
+    const plan = planSessionImport(importer, sessionImport.text);
+    const n = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+
+    $('#sessionImportInfo').textContent = `${sessionImport.fileName} — read as ${importer.name}. Nothing is saved until you import.`;
+    $('#sessionImportPreview').textContent = plan.error
+      ? `This file could not be read as ${importer.name}: ${plan.error}`
+      : [`+${n(plan.sessions.length, 'session', 'sessions')}`, n(plan.newLabels.length, 'new label', 'new labels'),
+        `${n(plan.duplicates, 'duplicate', 'duplicates')} skipped`,
+        ...(plan.warnings.length ? [`${n(plan.warnings.length, 'record', 'records')} with a warning`] : []),
+        ...(plan.skipped.length ? [`${n(plan.skipped.length, 'record', 'records')} not usable`] : [])].join(', ');
+    $('#sessionImportLabels').textContent = plan.newLabels.length ? `Labels to create: ${plan.newLabels.join(', ')}` : '';
+    $('#sessionImportSample').innerHTML = plan.sessions.slice(0, 5).map(s =>
+      `<li>${escapeHtml(new Date(s.startedAt).toLocaleString())} · ${escapeHtml(formatDuration(s.durationSec))}${s.label ? ' · ' + escapeHtml(s.label) : ''}</li>`).join('');
+    $('#sessionImportSkippedList').innerHTML = plan.skipped.slice(0, 50)
+      .map(e => `<li>Record ${e.row}: ${escapeHtml(e.reason)}</li>`).join('')
+      + (plan.skipped.length > 50 ? `<li>…and ${plan.skipped.length - 50} more</li>` : '');
+    $('#sessionImportSkipped').classList.toggle('hidden', !plan.skipped.length);
+    $('#sessionImportWarningList').innerHTML = plan.warnings.slice(0, 50)
+      .map(e => `<li>Record ${e.row}: ${escapeHtml(e.reason)}</li>`).join('')
+      + (plan.warnings.length > 50 ? `<li>…and ${plan.warnings.length - 50} more</li>` : '');
+    $('#sessionImportWarnings').classList.toggle('hidden', !plan.warnings.length);
+    $('#sessionImportConfirm').disabled = !plan.sessions.length;
+  }
+
+  function confirmSessionImport() {
+    const importer = selectedSessionImporter();
+    if (!importer) return;
+    // Recomputed here: sessions may have been added or synced in while the preview was open.
+    const plan = planSessionImport(importer, sessionImport.text);
+    if (!plan.sessions.length) {
+      renderSessionImportPreview();
+      return;
+    }
+    plan.newLabels.forEach((name, i) => {
+      if (!getLabelByName(name)) createLabel({ name, color: LABEL_COLORS[i % LABEL_COLORS.length] }, { quiet: true });
+    });
+    const added = plan.sessions.map(addSessionRecord).filter(Boolean);
+    state.sessions.sort((a, b) => (Number(b.endTs || 0) - Number(a.endTs || 0)));
+    sbMarkDirty('sessions', added.map(s => s.clientId));
+    saveState();
+    sbUpsertSoon();
+    renderAll();
+    closeSessionImportModal();
+    toast('Imported', `${added.length} session${added.length === 1 ? '' : 's'} added${plan.newLabels.length ? `, ${plan.newLabels.length} label${plan.newLabels.length === 1 ? '' : 's'} created` : ''}.`);
+  }
+
+  // ------------------ BACKUP VALIDATION ------------------
+  // Every section of an imported backup is checked record by record before
+  // it reaches hydrateState(). Problems with an obvious fix (a duration
+  // stored as text, a missing id) are repaired; anything else is quarantined:
+  // left out of the import and listed in the report with the reason, where it
+  // can be downloaded as JSON. Records that look odd but that the app can
+  // produce itself (a session over 24 hours) are kept and listed as warnings.
+
+  const BACKUP_MIN_TS = Date.UTC(2000, 0, 1);
+  // the stopwatch cap can be turned off and Flowtime has none, so this only warns
+  const BACKUP_MAX_SESSION_SEC = 24 * 3600;
+  const BACKUP_REPORT_SECTIONS = [
+    ['profile', 'Profile'], ['sessions', 'Sessions'], ['labels', 'Labels'], ['tasks', 'Tasks'],
+    ['habits', 'Habits'], ['timerPresets', 'Timer presets'], ['progress', 'Progress'],
+  ];
+
+  function backupNumber(v) {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    if (typeof v === 'string' && v.trim() && Number.isFinite(Number(v))) return Number(v);
+    return null;
+  }
+
+  // Epoch ms from a number, numeric string or date string.
+  function backupTimestamp(v) {
+    const n = backupNumber(v);
+    if (n != null) return n;
+    const t = typeof v === 'string' ? Date.parse(v) : NaN;
+    return Number.isFinite(t) ? t : null;
+  }
+
+  function backupTsInRange(ts) {
+    return ts >= BACKUP_MIN_TS && ts <= Date.now() + 24 * 3600 * 1000;
+  }
+
+  // Each check gets one raw record and a repair(reason) callback, and returns
+  // the cleaned record or a string saying why the record was rejected.
+
+  function checkBackupSession(raw, repair, warn) {
+    const s = { ...raw };
+    const dur = backupNumber(raw.durationSec);
+    if (dur == null) return 'durationSec is missing or not a number';
+    if (dur <= 0) return 'durationSec is not positive';
+    if (dur > BACKUP_MAX_SESSION_SEC) warn(`longer than 24 hours (${formatDuration(Math.round(dur))})`);
+    if (typeof raw.durationSec !== 'number') repair('durationSec was text');
+    else if (!Number.isInteger(dur)) repair('durationSec was rounded');
+    s.durationSec = Math.round(dur);
+
+    let start = backupTimestamp(raw.startTs);
+    let end = backupTimestamp(raw.endTs);
+    if (start == null && end == null) return 'endTs and startTs are missing or not dates';
+    if (end == null) {
+      end = start + s.durationSec * 1000;
+      repair('endTs was missing; derived from startTs and durationSec');
+    } else if (typeof raw.endTs !== 'number') {
+      repair('endTs was not a timestamp');
+    }
+    if (start == null) {
+      start = end - s.durationSec * 1000;
+      repair('startTs was missing; derived from endTs and durationSec');
+    } else if (typeof raw.startTs !== 'number') {
+      repair('startTs was not a timestamp');
+    }
+    if (!backupTsInRange(end) || !backupTsInRange(start)) return 'date is out of range';
+    if (end < start) return 'endTs is before startTs';
+    s.startTs = start;
+    s.endTs = end;
+
+    if (raw.pauses != null) {
+      const pauses = normalizeSessionPauses(raw.pauses, start, end);
+      if (!Array.isArray(raw.pauses) || pauses.length !== raw.pauses.length) repair('invalid pauses were dropped');
+      if (pauses.length) s.pauses = pauses;
+      else delete s.pauses;
+    }
+
+    if (!raw.id && !raw.clientId) {
+      s.id = uid('s');
+      repair('id was missing');
+    }
+    if (s.id != null) s.id = String(s.id);
+    if (s.clientId != null) s.clientId = String(s.clientId);
+    if (raw.label != null && typeof raw.label !== 'string') {
+      s.label = String(raw.label);
+      repair('label was not text');
+    }
+    if (String(s.label || '').length > 24) {
+      s.label = String(s.label).slice(0, 24);
+      repair('label was longer than 24 characters');
+    }
+    if (raw.method != null && typeof raw.method !== 'string') {
+      delete s.method;
+      repair('method was not text');
+    }
+    if (raw.updatedTs != null && typeof raw.updatedTs !== 'number') {
+      const t = backupTimestamp(raw.updatedTs);
+      if (t == null) delete s.updatedTs; else s.updatedTs = t;
+      repair('updatedTs was not a timestamp');
+    }
+    return s;
+  }
+
+  function checkBackupLabel(raw, repair) {
+    const l = { ...raw };
+    if (typeof raw.name !== 'string' && typeof raw.name !== 'number') return 'name is missing';
+    l.name = String(raw.name).trim();
+    if (!l.name) return 'name is empty';
+    if (l.name.length > 24) {
+      l.name = l.name.slice(0, 24);
+      repair('name was longer than 24 characters');
+    }
+    if (!raw.id) {
+      l.id = uid('lbl');
+      repair('id was missing');
+    }
+    l.id = String(l.id);
+    if (typeof raw.color !== 'string' || !raw.color.trim()) {
+      l.color = '#a855f7';
+      repair('color was missing');
+    }
+    if (raw.createdTs != null && typeof raw.createdTs !== 'number') {
+      l.createdTs = backupTimestamp(raw.createdTs) ?? 0;
+      repair('createdTs was not a timestamp');
+    }
+    l.favorite = !!raw.favorite;
+    return l;
+  }
+
+  function checkBackupTask(raw, repair) {
+    const t = { ...raw };
+    if (typeof raw.text !== 'string' && typeof raw.text !== 'number') return 'text is missing';
+    t.text = String(raw.text).trim();
+    if (!t.text) return 'text is empty';
+    if (typeof raw.text !== 'string') repair('text was not text');
+    if (t.text.length > 80) {
+      t.text = t.text.slice(0, 80);
+      repair('text was longer than 80 characters');
+    }
+    if (!raw.id) {
+      t.id = uid();
+      repair('id was missing');
+    }
+    t.id = String(t.id);
+    if (raw.done != null && typeof raw.done !== 'boolean') {
+      t.done = raw.done === 'true' || raw.done === 1;
+      repair('done was not true/false');
+    }
+    if (raw.createdTs != null && typeof raw.createdTs !== 'number') {
+      const ts = backupTimestamp(raw.createdTs);
+      if (ts == null) delete t.createdTs; else t.createdTs = ts;
+      repair('createdTs was not a timestamp');
+    }
+    return t;
+  }
+
+  // Lengths out of range are clamped by normalizeTimerPreset() on load.
+  function checkBackupTimerPreset(raw, repair) {
+    if (typeof raw.name !== 'string' || !raw.name.trim()) return 'name is missing';
+    if (!TIMER_PRESET_TYPES.includes(raw.type)) return `unknown timer type "${raw.type}"`;
+    const p = { ...raw };
+    if (!raw.id) {
+      p.id = uid('preset');
+      repair('id was missing');
+    }
+    p.id = String(p.id);
+    if (raw.ambient && !TIMER_PRESET_AMBIENTS.includes(raw.ambient)) {
+      p.ambient = '';
+      repair(`unknown sound "${raw.ambient}" was cleared`);
+    }
+    return p;
+  }
+
+  // Habit items are opaque to the app apart from their id.
+  function checkBackupHabit(raw) {
+    if (!raw.id) return 'id is missing';
+    return { ...raw, id: String(raw.id) };
+  }
+
+  function emptyBackupReport() {
+    const sections = {};
+    for (const [key] of BACKUP_REPORT_SECTIONS) sections[key] = { accepted: 0, repaired: 0, rejected: 0 };
+    return { sections, issues: [], quarantine: [], warnings: 0 };
+  }
+
+  // Runs `check` over a list; ids must be unique within the backup.
+  function validateBackupList(report, section, list, check, keyOf) {
+    const out = [];
+    const seen = new Set();
+    list.forEach((raw, i) => {
+      const ref = (raw && typeof raw === 'object' && (raw.clientId || raw.id)) ? `#${i + 1} (${raw.clientId || raw.id})` : `#${i + 1}`;
+      const reject = (reason) => {
+        report.sections[section].rejected++;
+        report.issues.push({ section, ref, status: 'rejected', reason });
+        report.quarantine.push({ section, reason, record: raw });
+      };
+      if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return reject('not an object');
+
+      const repairs = [];
+      const warnings = [];
+      const res = check(raw, (reason) => repairs.push(reason), (reason) => warnings.push(reason));
+      if (typeof res === 'string') return reject(res);
+      const key = keyOf(res);
+      if (seen.has(key)) return reject(`duplicate id ${key}`);
+      seen.add(key);
+
+      out.push(res);
+      if (warnings.length) {
+        report.warnings++;
+        report.issues.push({ section, ref, status: 'kept with a warning', reason: warnings.join('; ') });
+      }
+      if (repairs.length) {
+        report.sections[section].repaired++;
+        report.issues.push({ section, ref, status: 'repaired', reason: repairs.join('; ') });
+      } else {
+        report.sections[section].accepted++;
+      }
+    });
+    return out;
+  }
+
+  // Checks a single value (a setting or a counter) in place on `obj`.
+  function validateBackupField(report, section, obj, key, check, ref = key) {
+    if (!obj || obj[key] == null) return;
+    const raw = obj[key];
+    const res = check(raw);
+    if (res && res.reject) {
+      delete obj[key];
+      report.sections[section].rejected++;
+      report.issues.push({ section, ref, status: 'rejected', reason: res.reject });
+      report.quarantine.push({ section, reason: res.reject, record: { [key]: raw } });
+    } else if (res && res.repair) {
+      obj[key] = res.value;
+      report.sections[section].repaired++;
+      report.issues.push({ section, ref, status: 'repaired', reason: res.repair });
+    } else {
+      report.sections[section].accepted++;
+    }
+  }
+
+  function checkBackupCount(raw, { min = 0, max = Infinity, integer = false } = {}) {
+    const n = backupNumber(raw);
+    if (n == null) return { reject: 'not a number' };
+    if (n < min) return { reject: `below ${min}` };
+    if (n > max) return { reject: `above ${max}` };
+    if (typeof raw !== 'number') return { repair: 'was text', value: integer ? Math.round(n) : n };
+    if (integer && !Number.isInteger(n)) return { repair: 'was not a whole number', value: Math.round(n) };
+    return null;
+  }
+
+  // Takes a migrated copy of a backup (it is modified) and returns
+  // { value, report } with only valid records left in value.
+  function validateBackup(st) {
+    const report = emptyBackupReport();
+    const listOf = (section, v, label) => {
+      if (v == null) return [];
+      if (Array.isArray(v)) return v;
+      report.sections[section].rejected++;
+      report.issues.push({ section, ref: label, status: 'rejected', reason: 'not a list' });
+      report.quarantine.push({ section, reason: 'not a list', record: v });
+      return [];
+    };
+    const objectOf = (section, v, label) => {
+      if (v == null) return {};
+      if (typeof v === 'object' && !Array.isArray(v)) return v;
+      report.sections[section].rejected++;
+      report.issues.push({ section, ref: label, status: 'rejected', reason: 'not an object' });
+      report.quarantine.push({ section, reason: 'not an object', record: v });
+      return {};
+    };
+
+    // Profile settings
+    st.profile = objectOf('profile', st.profile, 'profile');
+    validateBackupField(report, 'profile', st.profile, 'name', (v) => (typeof v === 'string' ? null : { reject: 'not text' }));
+    validateBackupField(report, 'profile', st.profile, 'weeklyGoalHours', (v) => checkBackupCount(v, { max: 168 }));
+    validateBackupField(report, 'profile', st.profile, 'stopwatchCapHours', (v) => checkBackupCount(v, { min: 1, max: 24 }));
+    validateBackupField(report, 'profile', st.profile, 'theme',
+      (v) => (['midnight', 'violet', 'emerald', 'ocean', 'sunset'].includes(v) ? null : { reject: `unknown theme "${v}"` }));
+
+    st.sessions = validateBackupList(report, 'sessions', st.sessions, checkBackupSession, (s) => String(s.clientId || s.id));
+
+    st.labels = objectOf('labels', st.labels, 'labels');
+    st.labels.items = validateBackupList(report, 'labels', listOf('labels', st.labels.items, 'labels.items'), checkBackupLabel, (l) => l.id);
+
+    st.tasks = validateBackupList(report, 'tasks', listOf('tasks', st.tasks, 'tasks'), checkBackupTask, (t) => t.id);
+
+    st.habits = objectOf('habits', st.habits, 'habits');
+    st.habits.items = validateBackupList(report, 'habits', listOf('habits', st.habits.items, 'habits.items'), checkBackupHabit, (h) => h.id);
+    st.habits.completions = objectOf('habits', st.habits.completions, 'habits.completions');
+
+    st.timerPresets = validateBackupList(report, 'timerPresets', listOf('timerPresets', st.timerPresets, 'timerPresets'), checkBackupTimerPreset, (p) => p.id);
+
+    // Progress counters. An unreadable xp/growth total is rebuilt from the
+    // sessions that passed.
+    st.island = objectOf('progress', st.island, 'island');
+    st.garden = objectOf('progress', st.garden, 'garden');
+    const planted = backupNumber(st.garden.plantedTs) || 0;
+    const fromSessions = (after) => st.sessions.reduce((acc, s) => acc + (s.endTs > after ? s.durationSec : 0), 0);
+    const orRebuilt = (value) => (raw) => {
+      const res = checkBackupCount(raw);
+      return res?.reject ? { repair: `${res.reject}; rebuilt from sessions`, value } : res;
+    };
+    const whole = (v) => checkBackupCount(v, { integer: true });
+    validateBackupField(report, 'progress', st.island, 'xpSec', orRebuilt(fromSessions(-Infinity)), 'island.xpSec');
+    validateBackupField(report, 'progress', st.garden, 'growthSec', orRebuilt(fromSessions(planted)), 'garden.growthSec');
+    validateBackupField(report, 'progress', st.garden, 'plantedTs', whole, 'garden.plantedTs');
+    validateBackupField(report, 'progress', st.garden, 'harvestedOnThisTree', whole, 'garden.harvestedOnThisTree');
+    st.fruitCollection = objectOf('progress', st.fruitCollection, 'fruitCollection');
+    for (const type of Object.keys(st.fruitCollection)) {
+      validateBackupField(report, 'progress', st.fruitCollection, type, whole, `fruitCollection.${type}`);
+    }
+
+    return { value: st, report };
+  }
+
+  function backupReportTotals(report) {
+    const t = { accepted: 0, repaired: 0, rejected: 0 };
+    for (const sec of Object.values(report.sections)) {
+      t.accepted += sec.accepted;
+      t.repaired += sec.repaired;
+      t.rejected += sec.rejected;
+    }
+    return t;
+  }
+
+  // ------------------ MERGE IMPORT ------------------
+  // A backup can replace everything here or be merged into it. The import
+  // modal previews what a merge would add before anything is written.
+
+  let pendingImport = null; // hydrated backup waiting for the user to pick a mode
+  let pendingImportReport = null; // its validateBackup() report
+
+  // Merge a hydrated backup into `cur` without changing either; returns the
+  // merged state and what it added. Sessions match by clientId/id, labels by
+  // id and then by name (case-insensitive), tasks by id or identical text,
+  // habits by id, timer presets by id or name. Settings and the current tree
+  // stay as they are here.
+  // Progression keeps this device's totals and adds the imported sessions,
+  // as mergeRemoteSessions() does for pulled ones.
+  function mergeImportedState(cur, inc) {
+    const norm = (v) => String(v || '').trim().toLowerCase();
+    const summary = {
+      sessions: 0, labels: 0, tasks: 0, habits: 0, presets: 0, duplicates: 0, xpSec: 0,
+      added: { sessions: [], labels: [], tasks: [], habits: [] },
+    };
+
+    // Labels. Imported sessions are renamed to the label they matched here.
+    const labels = [...cur.labels.items];
+    const labelById = new Map(labels.map(l => [String(l.id), l]));
+    const labelByName = new Map(labels.map(l => [norm(l.name), l]));
+    const labelRename = new Map();
+    const labelIdMap = new Map(); // imported label id -> the label it matched here
+    for (const raw of inc.labels.items) {
+      if (!raw || typeof raw !== 'object') continue;
+      const match = labelById.get(String(raw.id)) || labelByName.get(norm(raw.name));
+      if (match) {
+        if (norm(raw.name)) labelRename.set(norm(raw.name), match.name);
+        if (raw.id) labelIdMap.set(String(raw.id), String(match.id));
+        summary.duplicates++;
+        continue;
+      }
+      const l = raw.id ? raw : { ...raw, id: uid() };
+      labels.push(l);
+      labelById.set(String(l.id), l);
+      labelByName.set(norm(l.name), l);
+      summary.labels++;
+      summary.added.labels.push(String(l.id));
+    }
+
+    // Sessions
+    const sessions = [...cur.sessions];
+    const sessionKeys = new Set(sessions.map(s => String(s.clientId || s.id)));
+    const planted = Number(cur.garden.plantedTs || 0);
+    let growthSec = 0;
+    for (const raw of inc.sessions) {
+      if (!raw || typeof raw !== 'object') continue;
+      const key = String(raw.clientId || raw.id || '');
+      if (!key) continue;
+      if (sessionKeys.has(key)) { summary.duplicates++; continue; }
+      sessionKeys.add(key);
+      const s = { ...raw, clientId: key, label: labelRename.get(norm(raw.label)) ?? raw.label };
+      const dur = Number(s.durationSec || 0);
+      sessions.push(s);
+      summary.sessions++;
+      summary.xpSec += dur;
+      if (Number(s.endTs || 0) > planted) growthSec += dur;
+      summary.added.sessions.push(key);
+    }
+    sessions.sort((a, b) => (Number(b.endTs || 0) - Number(a.endTs || 0)));
+
+    // Tasks
+    const tasks = [...cur.tasks];
+    const taskIds = new Set(tasks.map(t => String(t.id)));
+    const taskTexts = new Set(tasks.map(t => norm(t.text)));
+    for (const t of inc.tasks) {
+      if (taskIds.has(String(t.id)) || taskTexts.has(norm(t.text))) { summary.duplicates++; continue; }
+      taskIds.add(String(t.id));
+      taskTexts.add(norm(t.text));
+      tasks.push(t);
+      summary.tasks++;
+      summary.added.tasks.push(String(t.id));
+    }
+
+    // Habits (check-ins recorded here win for the same key)
+    const habits = [...cur.habits.items];
+    const habitIds = new Set(habits.map(h => String(h?.id)));
+    for (const h of inc.habits.items) {
+      if (!h || typeof h !== 'object' || !h.id) continue;
+      if (habitIds.has(String(h.id))) { summary.duplicates++; continue; }
+      habitIds.add(String(h.id));
+      habits.push(h);
+      summary.habits++;
+      summary.added.habits.push(String(h.id));
+    }
+    const completions = { ...inc.habits.completions };
+    for (const [k, v] of Object.entries(cur.habits.completions)) {
+      const other = completions[k];
+      if (Array.isArray(v) && Array.isArray(other)) completions[k] = Array.from(new Set([...other, ...v]));
+      else if (v && other && typeof v === 'object' && typeof other === 'object') completions[k] = { ...other, ...v };
+      else completions[k] = v;
+    }
+
+    // Timer presets point at labels by id, so they follow the label matches above.
+    const timerPresets = [...cur.timerPresets];
+    const presetIds = new Set(timerPresets.map(p => p.id));
+    const presetNames = new Set(timerPresets.map(p => norm(p.name)));
+    for (const p of inc.timerPresets || []) {
+      if (presetIds.has(p.id) || presetNames.has(norm(p.name))) { summary.duplicates++; continue; }
+      if (timerPresets.length >= TIMER_PRESET_MAX) break;
+      presetIds.add(p.id);
+      presetNames.add(norm(p.name));
+      timerPresets.push({ ...p, labelId: labelIdMap.get(p.labelId) ?? p.labelId });
+      summary.presets++;
+    }
+
+    // Fruit counts only grow, so the larger count per type is kept.
+    const fruitCollection = { ...cur.fruitCollection };
+    for (const [type, n] of Object.entries(inc.fruitCollection || {})) {
+      fruitCollection[type] = Math.max(Number(fruitCollection[type]) || 0, Number(n) || 0);
+    }
+
+    return {
+      state: {
+        ...cur,
+        labels: { ...cur.labels, items: labels },
+        sessions,
+        tasks,
+        habits: { ...cur.habits, items: habits, completions },
+        timerPresets,
+        fruitCollection,
+        island: { ...cur.island, xpSec: Number(cur.island.xpSec || 0) + summary.xpSec },
+        garden: { ...cur.garden, growthSec: Number(cur.garden.growthSec || 0) + growthSec },
+      },
+      summary,
+    };
+  }
+
+  function mergeSummaryText(sum) {
+    const n = (count, one, many) => `${count} ${count === 1 ? one : many}`;
+    const parts = [`+${n(sum.sessions, 'session', 'sessions')}`, n(sum.labels, 'new label', 'new labels')];
+    if (sum.tasks) parts.push(n(sum.tasks, 'new task', 'new tasks'));
+    if (sum.habits) parts.push(n(sum.habits, 'new habit', 'new habits'));
+    if (sum.presets) parts.push(n(sum.presets, 'new timer preset', 'new timer presets'));
+    parts.push(`${n(sum.duplicates, 'duplicate', 'duplicates')} skipped`);
+    return parts.join(', ');
+  }
+
+  function importModeSelected() {
+    return $('input[name="importMode"]:checked')?.value === 'replace' ? 'replace' : 'merge';
+  }
+
+  function openImportModal(inc, report = emptyBackupReport()) {
+    pendingImport = inc;
+    pendingImportReport = report;
+    const n = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    $('#importBackupInfo').textContent =
+      `This backup has ${n(inc.sessions.length, 'valid session')}, ${n(inc.labels.items.length, 'label')} and ${n(inc.tasks.length, 'task')}.`;
+    const merge = $('input[name="importMode"][value="merge"]');
+    if (merge) merge.checked = true;
+    renderImportReport(report);
+    renderImportPreview();
+    $('#importModal').classList.remove('hidden');
+  }
+
+  function closeImportModal() {
+    pendingImport = null;
+    pendingImportReport = null;
+    $('#importModal')?.classList.add('hidden');
+  }
+
+  const IMPORT_REPORT_MAX_ISSUES = 100;
+
+  function renderImportReport(report) {
+    const totals = backupReportTotals(report);
+    $('#importReportSummary').textContent =
+      `Checked every record: ${totals.accepted} accepted, ${totals.repaired} repaired, ${totals.rejected} rejected`
+      + (report.warnings ? `; ${report.warnings} kept with a warning.` : '.');
+
+    const labels = Object.fromEntries(BACKUP_REPORT_SECTIONS);
+    const rows = BACKUP_REPORT_SECTIONS
+      .map(([key, label]) => [label, report.sections[key]])
+      .filter(([, sec]) => sec.accepted + sec.repaired + sec.rejected > 0)
+      .map(([label, sec]) => `<li><strong>${escapeHtml(label)}</strong>: ${sec.accepted} accepted, ${sec.repaired} repaired, ${sec.rejected} rejected</li>`);
+    const issues = report.issues.slice(0, IMPORT_REPORT_MAX_ISSUES).map(it =>
+      `<li>${escapeHtml(labels[it.section] || it.section)} ${escapeHtml(it.ref)} — ${it.status}: ${escapeHtml(it.reason)}</li>`);
+    if (report.issues.length > IMPORT_REPORT_MAX_ISSUES) {
+      issues.push(`<li>…and ${report.issues.length - IMPORT_REPORT_MAX_ISSUES} more</li>`);
+    }
+    $('#importReportList').innerHTML = rows.join('') + issues.join('');
+    $('#importReportDetails').classList.toggle('hidden', !rows.length);
+    $('#importReportDetails').open = totals.rejected > 0 || report.warnings > 0;
+    $('#importQuarantineBtn').classList.toggle('hidden', !report.quarantine.length);
+  }
+
+  function downloadImportQuarantine() {
+    if (!pendingImportReport?.quarantine.length) return;
+    downloadText(`bloomora_import_rejected_${new Date().toISOString().slice(0,10)}.json`,
+      JSON.stringify(pendingImportReport.quarantine, null, 2));
+  }
+
+  function renderImportPreview() {
+    if (!pendingImport) return;
+    const replace = importModeSelected() === 'replace';
+    const preview = $('#importPreview');
+    const detail = $('#importPreviewDetail');
+    if (replace) {
+      preview.textContent = 'Everything on this device is replaced by the backup.';
+      detail.textContent = sbSignedIn() ? 'The backup is then uploaded to your account.' : '';
+    } else {
+      const { summary } = mergeImportedState(state, pendingImport);
+      preview.textContent = mergeSummaryText(summary);
+      const addsRecords = summary.labels + summary.tasks + summary.habits + summary.presets > 0;
+      detail.textContent = summary.xpSec
+        ? `Adds ${formatHM(summary.xpSec)} of focus time to your progress. Settings stay as they are.`
+        : (addsRecords ? 'Adds no focus time. Settings stay as they are.' : 'Nothing new to add. Settings stay as they are.');
+    }
+    $('#importConfirmBtn').textContent = replace ? 'Replace' : 'Merge';
+  }
+
+  function confirmImport() {
+    const inc = pendingImport;
+    if (!inc) return;
+    const replace = importModeSelected() === 'replace';
+    const { rejected } = backupReportTotals(pendingImportReport);
+    const skipped = rejected ? ` ${rejected} invalid record${rejected === 1 ? ' was' : 's were'} left out.` : '';
+    closeImportModal();
+
+    if (replace) {
+      state = inc;
+      saveState();
+      renderAll();
+      toast('Imported', 'Backup restored successfully.' + skipped);
+      if (sbSignedIn()) { sb.forcePushOnce = true; sbSaveMeta(); queueSyncSoon(50); }
+      return;
+    }
 
-  if (cd.remainingSec <= 0) {
-    toast('Set a duration', 'Timer needs at least 1 second.');
-    return;
+    // Recomputed here: the data may have changed while the modal was open.
+    const { state: merged, summary } = mergeImportedState(state, inc);
+    state = merged;
+    for (const kind of ['sessions', 'labels', 'tasks', 'habits']) sbMarkDirty(kind, summary.added[kind]);
+    saveState();
+    renderAll();
+    toast('Merged', mergeSummaryText(summary) + '.' + skipped);
+    queueSyncSoon(50);
   }
 
-  cd.running = true;
-  sessEnsureCtx();
-  sessSyncAmbient();
+  // ------------------ ENCRYPTED BACKUPS ------------------
+  // Envelope (a JSON file, so it goes through the normal import picker):
+  //   { format: 'bloomora-encrypted-backup', version: 1, cipher: 'AES-GCM',
+  //     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt }, iv, data, createdAt }
+  // salt, iv and data are base64; data is the AES-GCM ciphertext (tag included)
+  // of the same JSON exportState() writes. Decryption reads the KDF settings
+  // from the envelope, so older files keep working if the defaults change.
 
-  if (cd.interval) clearInterval(cd.interval);
-  cd.interval = setInterval(() => {
-    cd.remainingSec -= 1;
+  const BACKUP_ENVELOPE_FORMAT = 'bloomora-encrypted-backup';
+  const BACKUP_PBKDF2_ITERATIONS = 310000;
+  const BACKUP_MIN_PASSPHRASE = 8;
 
-    if (cd.remainingSec <= 0) {
-      cd.remainingSec = 0;
-      cd.running = false;
-    sessSyncAmbient();
-      if (cd.interval) clearInterval(cd.interval);
-      cd.interval = null;
-      cdRender();
-      playNotifyTone('timer');
-      toast('Timer finished', 'Nice work! Click “End & Save” to log the time.');
-    } else {
-      cdRender();
-    }
-  }, 1000);
+  let backupPass = { mode: null, envelope: null };
 
-  cdRender();
-}
+  function isBackupEnvelope(v) {
+    return !!(v && typeof v === 'object' && v.format === BACKUP_ENVELOPE_FORMAT);
+  }
 
-// Toggle Pause / Resume
-function cdPause() {
-  // Pause
-  if (cd.running) {
-    cd.running = false;
-    if (cd.interval) clearInterval(cd.interval);
-    cd.interval = null;
-    cdRender();
-    sessSyncAmbient();
-    return;
+  function bytesToBase64(bytes) {
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    return btoa(bin);
   }
 
-  // Resume
-  const elapsed = Math.max(0, cd.totalSec - cd.remainingSec);
-  if (elapsed <= 0 || cd.remainingSec <= 0 || cd.totalSec <= 0) return;
+  function base64ToBytes(b64) {
+    const bin = atob(String(b64 || ''));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
 
-  cd.running = true;
-  sessEnsureCtx();
-  sessSyncAmbient();
-  if (cd.interval) clearInterval(cd.interval);
-  cd.interval = setInterval(() => {
-    cd.remainingSec -= 1;
+  async function deriveBackupKey(passphrase, kdf) {
+    const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: base64ToBytes(kdf.salt) },
+      base,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
 
-    if (cd.remainingSec <= 0) {
-      cd.remainingSec = 0;
-      cd.running = false;
-      if (cd.interval) clearInterval(cd.interval);
-      cd.interval = null;
-      cdRender();
-      playNotifyTone('timer');
-      toast('Timer finished', 'Nice work! Click “End & Save” to log the time.');
-    } else {
-      cdRender();
+  async function encryptBackup(text, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_PBKDF2_ITERATIONS, salt: bytesToBase64(salt) };
+    const key = await deriveBackupKey(passphrase, kdf);
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return {
+      format: BACKUP_ENVELOPE_FORMAT,
+      version: 1,
+      cipher: 'AES-GCM',
+      kdf,
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(new Uint8Array(data)),
+      createdAt: new Date().toISOString(),
+    };
+  }
+
+  // Throws on a wrong passphrase or a damaged file (AES-GCM checks both).
+  async function decryptBackup(env, passphrase) {
+    const kdf = env.kdf || {};
+    if (env.version !== 1 || env.cipher !== 'AES-GCM' || kdf.name !== 'PBKDF2' || !(Number(kdf.iterations) > 0)) {
+      throw new Error('Unsupported encrypted backup format.');
     }
-  }, 1000);
+    const key = await deriveBackupKey(passphrase, { hash: String(kdf.hash || 'SHA-256'), iterations: Number(kdf.iterations), salt: kdf.salt });
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(env.iv) }, key, base64ToBytes(env.data));
+    return new TextDecoder().decode(plain);
+  }
 
-  cdRender();
-}
+  function openBackupPassModal(mode, envelope = null) {
+    if (!window.crypto?.subtle) {
+      toast('Encryption unavailable', 'This browser only allows encryption on https:// or localhost pages.');
+      return;
+    }
+    backupPass = { mode, envelope };
+    const exporting = mode === 'export';
+    $('#backupPassTitle').textContent = exporting ? 'Export encrypted backup' : 'Encrypted backup';
+    $('#backupPassHint').textContent = exporting
+      ? `Anyone with the file and passphrase can read it. There is no way to recover a forgotten passphrase (at least ${BACKUP_MIN_PASSPHRASE} characters).`
+      : 'This backup is encrypted. Enter its passphrase to import it.';
+    $('#backupPassConfirmRow').classList.toggle('hidden', !exporting);
+    $('#backupPassSubmit').textContent = exporting ? 'Download' : 'Import';
+    $('#backupPassInput').value = '';
+    $('#backupPassConfirm').value = '';
+    setBackupPassError('');
+    $('#backupPassModal').classList.remove('hidden');
+    $('#backupPassInput').focus();
+  }
+
+  function closeBackupPassModal() {
+    backupPass = { mode: null, envelope: null };
+    $('#backupPassInput').value = '';
+    $('#backupPassConfirm').value = '';
+    $('#backupPassModal')?.classList.add('hidden');
+  }
+
+  function setBackupPassError(msg) {
+    const el = $('#backupPassError');
+    if (!el) return;
+    el.textContent = msg;
+    el.classList.toggle('hidden', !msg);
+  }
+
+  async function submitBackupPass() {
+    const pass = String($('#backupPassInput')?.value || '');
+    const btn = $('#backupPassSubmit');
+
+    if (backupPass.mode === 'export') {
+      if (pass.length < BACKUP_MIN_PASSPHRASE) return setBackupPassError(`Use at least ${BACKUP_MIN_PASSPHRASE} characters.`);
+      if (pass !== String($('#backupPassConfirm')?.value || '')) return setBackupPassError('The passphrases do not match.');
+      btn.disabled = true;
+      try {
+        const env = await encryptBackup(JSON.stringify(state), pass);
+        downloadText(`bloomora_backup_${new Date().toISOString().slice(0,10)}_encrypted.json`, JSON.stringify(env, null, 2));
+        closeBackupPassModal();
+        toast('Exported', 'Encrypted backup downloaded.');
+      } catch (e) {
+        console.warn(e);
+        setBackupPassError('Encryption failed: ' + (e?.message || e));
+      } finally {
+        btn.disabled = false;
+      }
+      return;
+    }
 
-  function cdReset() {
-    if (cd.interval) clearInterval(cd.interval);
-    cd.interval = null;
-    cd.running = false;
-    cd.totalSec = cdReadInputsToTotal();
-    cd.remainingSec = cd.totalSec;
-    $('#cdStart').disabled = false;
-    $('#cdPause').disabled = true;
-    cdRender();
-    sessSyncAmbient();
+    if (backupPass.mode === 'import' && backupPass.envelope) {
+      if (!pass) return setBackupPassError('Enter the passphrase.');
+      btn.disabled = true;
+      let text;
+      try {
+        text = await decryptBackup(backupPass.envelope, pass);
+      } catch (e) {
+        setBackupPassError(e?.name === 'OperationError' ? 'Wrong passphrase, or the file is damaged.' : (e?.message || String(e)));
+        return;
+      } finally {
+        btn.disabled = false;
+      }
+      const parsed = safeParseJson(text);
+      closeBackupPassModal();
+      if (!parsed.ok) return toast('Import failed', 'The decrypted backup was not valid JSON.');
+      importBackupObject(parsed.value);
+    }
   }
 
-  function cdSaveAndReset() {
-    if (cd.running) cdPause();
+  // ------------------ CSV ------------------
+  // Session history as CSV for spreadsheets, and a CSV import with a column
+  // mapping step. Imported rows go through addSessionRecord(), like sessions
+  // saved from the timers.
 
-    const elapsed = Math.max(0, cd.totalSec - cd.remainingSec);
-    const reward = normalizeRewardMode(($('#cdReward')?.value) || state.ui.worldView || 'island');
-    const labelId = $('#cdLabel').value || '';
-    const label = labelId ? labelNameFromId(labelId) : '';
+  const CSV_DATE_FORMATS = {
+    iso: 'ISO 8601 (2024-05-01T14:30:00+02:00)',
+    datetime: 'Date and time (2024-05-01 14:30:00)',
+    dmy: 'Day first (01/05/2024 14:30:00)',
+    mdy: 'Month first (05/01/2024 14:30:00)',
+    unix: 'Unix time (seconds)',
+  };
+  const CSV_EXPORT_COLUMNS = ['start', 'end', 'duration_min', 'label', 'method', 'reward_mode'];
+  const CSV_IMPORT_FIELDS = [
+    { key: 'start', label: 'Start', guess: /start|begin|from/i },
+    { key: 'end', label: 'End', guess: /end|stop|finish/i },
+    { key: 'duration', label: 'Duration', guess: /duration|length|minutes|mins|seconds|hours|time spent/i },
+    { key: 'label', label: 'Label', guess: /label|tag|project|subject|category/i },
+    { key: 'rewardMode', label: 'Reward mode', guess: /reward|world/i },
+    { key: 'method', label: 'Method', guess: /method|source|type|mode/i },
+  ];
+  const CSV_METHODS = new Set(['stopwatch', 'timer', 'pomodoro', 'flowtime', 'manual']);
 
-    const saved = saveSession({ durationSec: elapsed, method: 'timer', rewardMode: reward, label });
-    if (saved) {
-      $('#cdLabel').value = '';
-    }
+  let csvImport = { fileName: '', rows: [] };
 
-    // reset
-    cd.totalSec = cdReadInputsToTotal();
-    cd.remainingSec = cd.totalSec;
-    $('#cdSave').disabled = true;
-    cdRender();
+  function deviceTimeZone() {
+    try { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; } catch (e) { return 'UTC'; }
   }
 
-  function syncRewardSelectorsFromWorldView() {
-    const mode = normalizeRewardMode(state.ui.worldView || 'island');
-    // Mode only affects what you *view* (progress is always synced).
-    const sw = $('#swReward');
-    const pom = $('#pomReward');
-    const cd = $('#cdReward');
-
-    // Only set a safe initial value; don't fight the user's active selection.
-    if (sw && (!sw.value || !['island','garden'].includes(sw.value))) sw.value = mode;
-    if (pom && (!pom.value || !['island','garden'].includes(pom.value))) pom.value = mode;
-    if (cd && (!cd.value || !['island','garden'].includes(cd.value))) cd.value = mode;
+  function isValidTimeZone(tz) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: tz });
+      return true;
+    } catch (e) {
+      return false;
+    }
   }
 
-  function setTimerTab(tab) {
-    activeTimerTab = tab;
+  const zoneFormatters = new Map();
 
-    // buttons
-    $$('[data-timer-tab]').forEach(btn => {
-      const isActive = btn.dataset.timerTab === tab;
-      btn.classList.toggle('segmented__btn--active', isActive);
-      btn.setAttribute('aria-selected', isActive ? 'true' : 'false');
-    });
+  // Wall-clock parts of `ts` in `timeZone`, plus that zone's UTC offset (minutes).
+  function zonedParts(ts, timeZone) {
+    let dtf = zoneFormatters.get(timeZone);
+    if (!dtf) {
+      dtf = new Intl.DateTimeFormat('en-US', {
+        timeZone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit',
+      });
+      zoneFormatters.set(timeZone, dtf);
+    }
+    const p = {};
+    for (const part of dtf.formatToParts(new Date(ts))) p[part.type] = part.value;
+    const parts = { y: +p.year, mo: +p.month, d: +p.day, h: +p.hour % 24, mi: +p.minute, s: +p.second };
+    const wallMs = Date.UTC(parts.y, parts.mo - 1, parts.d, parts.h, parts.mi, parts.s);
+    parts.offsetMin = Math.round((wallMs - Math.floor(ts / 1000) * 1000) / 60000);
+    return parts;
+  }
+
+  // Epoch ms for a wall-clock time in `timeZone` (second pass settles DST edges).
+  function zonedWallToTs(y, mo, d, h, mi, s, timeZone) {
+    const wallMs = Date.UTC(y, mo - 1, d, h, mi, s);
+    const first = wallMs - zonedParts(wallMs, timeZone).offsetMin * 60000;
+    return wallMs - zonedParts(first, timeZone).offsetMin * 60000;
+  }
+
+  function formatCsvDate(ts, format, timeZone) {
+    if (format === 'unix') return String(Math.floor(ts / 1000));
+    const p = zonedParts(ts, timeZone);
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${p.y}-${pad(p.mo)}-${pad(p.d)}`;
+    const time = `${pad(p.h)}:${pad(p.mi)}:${pad(p.s)}`;
+    // every format keeps seconds: re-importing an export matches sessions to the second
+    if (format === 'dmy') return `${pad(p.d)}/${pad(p.mo)}/${p.y} ${time}`;
+    if (format === 'mdy') return `${pad(p.mo)}/${pad(p.d)}/${p.y} ${time}`;
+    if (format === 'datetime') return `${date} ${time}`;
+    const off = Math.abs(p.offsetMin);
+    const zone = p.offsetMin === 0 ? 'Z' : `${p.offsetMin < 0 ? '-' : '+'}${pad(Math.floor(off / 60))}:${pad(off % 60)}`;
+    return `${date}T${time}${zone}`;
+  }
+
+  // Parses a date cell; times without an explicit offset are read in `timeZone`.
+  // format 'auto' accepts any of CSV_DATE_FORMATS (day/month order follows the browser language).
+  function parseCsvDate(text, format, timeZone) {
+    const v = String(text || '').trim();
+    if (!v) return null;
+    if ((format === 'auto' || format === 'unix') && /^\d{9,13}(\.\d+)?$/.test(v)) {
+      const n = Number(v);
+      return n > 1e11 ? Math.round(n) : Math.round(n * 1000);
+    }
+    if (format === 'unix') return null;
 
-    // views
-    $$('[data-timer-view]').forEach(v => {
-      v.classList.toggle('hidden', v.dataset.timerView !== tab);
-    });
+    const wall = (y, mo, d, h = 0, mi = 0, s = 0) => {
+      if (mo < 1 || mo > 12 || d < 1 || d > 31 || h > 23 || mi > 59 || s > 59) return null;
+      return zonedWallToTs(y, mo, d, h, mi, s, timeZone);
+    };
 
-    // on switching to clock, update quote
-    if (tab === 'clock') {
-      const q = CLOCK_QUOTES[Math.floor(Math.random() * CLOCK_QUOTES.length)];
-      $('#clockQuote').textContent = q.quote;
-      // author line is the next sibling muted small line
-      const authorP = $('#clockQuote').nextElementSibling;
-      if (authorP) authorP.textContent = `— ${q.author}`;
+    const iso = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/i);
+    if (iso && (format === 'auto' || format === 'iso' || format === 'datetime')) {
+      if (iso[7]) {
+        const t = Date.parse(`${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}T${iso[4].padStart(2, '0')}:${iso[5]}:${iso[6] || '00'}${iso[7].length === 5 ? iso[7].slice(0, 3) + ':' + iso[7].slice(3) : iso[7]}`);
+        return Number.isFinite(t) ? t : null;
+      }
+      return wall(+iso[1], +iso[2], +iso[3], +(iso[4] || 0), +(iso[5] || 0), +(iso[6] || 0));
+    }
+
+    const dm = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(am|pm)?)?$/i);
+    if (dm && (format === 'auto' || format === 'dmy' || format === 'mdy')) {
+      let monthFirst = format === 'mdy';
+      if (format === 'auto') {
+        if (+dm[1] > 12) monthFirst = false;
+        else if (+dm[2] > 12) monthFirst = true;
+        else monthFirst = /^en-US/i.test(navigator.language || '');
+      }
+      let h = +(dm[4] || 0);
+      if (dm[7]) h = (h % 12) + (/pm/i.test(dm[7]) ? 12 : 0);
+      const [d, mo] = monthFirst ? [+dm[2], +dm[1]] : [+dm[1], +dm[2]];
+      return wall(+dm[3], mo, d, h, +(dm[5] || 0), +(dm[6] || 0));
+    }
+
+    if (format !== 'auto') return null;
+    const t = Date.parse(v);
+    return Number.isFinite(t) ? t : null;
+  }
+
+  // Seconds from a duration cell. unit: auto | min | sec | hours | hms.
+  // auto reads h:mm(:ss) when the value has colons and minutes otherwise.
+  function parseCsvDuration(text, unit) {
+    const v = String(text || '').trim();
+    if (!v) return null;
+    if (unit === 'hms' || (unit === 'auto' && v.includes(':'))) {
+      const parts = v.split(':').map(Number);
+      if (parts.length < 2 || parts.length > 3 || parts.some(n => !Number.isFinite(n) || n < 0)) return null;
+      const [h, m, s = 0] = parts;
+      return h * 3600 + m * 60 + s;
     }
+    const n = Number(v.includes('.') ? v : v.replace(',', '.'));
+    if (!Number.isFinite(n) || n < 0) return null;
+    if (unit === 'sec') return n;
+    if (unit === 'hours') return n * 3600;
+    return n * 60;
+  }
+
+  // Spreadsheets run cells starting with = + - @ as formulas, so those get a
+  // leading ' (also one already starting with ' + one of them, to round-trip).
+  const CSV_FORMULA_RE = /^'?[=+\-@]/;
+
+  function csvCell(v) {
+    let str = String(v ?? '');
+    if (typeof v === 'string' && CSV_FORMULA_RE.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) || /^\s|\s$/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  // Undoes csvCell()'s formula guard on an imported cell.
+  function csvUnguard(v) {
+    return v[0] === "'" && CSV_FORMULA_RE.test(v.slice(1)) ? v.slice(1) : v;
+  }
+
+  // RFC 4180 parser (quoted fields, doubled quotes, CRLF). The delimiter is
+  // whichever of , ; or tab appears most in the first line.
+  function parseCsv(text) {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = src.split(/\r?\n/, 1)[0] || '';
+    const count = (ch) => firstLine.split(ch).length - 1;
+    const delim = [',', ';', '\t'].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ',');
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delim) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(cell => String(cell).trim() !== ''));
   }
 
-  // ------------------ NAV CLOCK ------------------
+  function fillCsvDateFormatSelect(sel, withAuto) {
+    if (!sel) return;
+    const opts = withAuto ? [['auto', 'Detect automatically'], ...Object.entries(CSV_DATE_FORMATS)] : Object.entries(CSV_DATE_FORMATS);
+    sel.innerHTML = opts.map(([k, label]) => `<option value="${k}">${escapeHtml(label)}</option>`).join('');
+  }
 
-  function renderNavClock() {
-    const d = new Date();
-    const t = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-    $('#navClock').textContent = t;
+  function fillTimeZoneList() {
+    const list = $('#csvTimeZones');
+    if (!list || list.children.length) return;
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    list.innerHTML = ['UTC', ...zones.filter(z => z !== 'UTC')].map(z => `<option value="${escapeAttr(z)}"></option>`).join('');
+  }
 
-    // clock page
-    if ($('#clockTime')) {
-      const time = d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
-      $('#clockTime').textContent = time;
+  // Time zone typed in an input; empty means this device's zone.
+  function csvTimeZoneFrom(input) {
+    const tz = String(input?.value || '').trim() || deviceTimeZone();
+    return isValidTimeZone(tz) ? tz : null;
+  }
 
-      const ampm = d.toLocaleTimeString(undefined, { hour: '2-digit' }).includes('AM') ? 'AM' :
-                   d.toLocaleTimeString(undefined, { hour: '2-digit' }).includes('PM') ? 'PM' : '';
-      // Some locales don't show AM/PM; we derive from hour
-      const hr = d.getHours();
-      const ampm2 = hr >= 12 ? 'PM' : 'AM';
-      $('#clockAmPm').textContent = ampm || ampm2;
+  // ---- export ----
 
-      $('#clockDate').textContent = d.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+  function sessionsToCsv(sessions, format, timeZone) {
+    const lines = [CSV_EXPORT_COLUMNS.join(',')];
+    const sorted = [...sessions].sort((a, b) => Number(a.startTs || 0) - Number(b.startTs || 0));
+    for (const s of sorted) {
+      lines.push([
+        formatCsvDate(Number(s.startTs), format, timeZone),
+        formatCsvDate(Number(s.endTs), format, timeZone),
+        Math.round(Number(s.durationSec || 0) / 60 * 100) / 100,
+        s.label || '',
+        s.method || '',
+        s.rewardMode || '',
+      ].map(csvCell).join(','));
     }
+    return lines.join('\r\n') + '\r\n';
   }
 
-function updateTimerHeaderClock() {
-  // Keep title/nav clock in sync with any running timer.
-  try { refreshRunningTitle(); } catch (e) {}
-  try { renderNavClock(); } catch (e) {}
-}
+  function openCsvExportModal() {
+    fillCsvDateFormatSelect($('#csvExportDateFormat'), false);
+    fillTimeZoneList();
+    $('#csvExportDateFormat').value = CSV_DATE_FORMATS[state.ui.csvDateFormat] ? state.ui.csvDateFormat : 'datetime';
+    $('#csvExportTimeZone').value = state.ui.csvTimeZone || deviceTimeZone();
+    $('#csvExportTimeZone').placeholder = deviceTimeZone();
+    renderCsvExportExample();
+    $('#csvExportModal').classList.remove('hidden');
+  }
 
+  function closeCsvExportModal() {
+    $('#csvExportModal')?.classList.add('hidden');
+  }
 
-  // ------------------ EXPORT/IMPORT ------------------
+  function renderCsvExportExample() {
+    const tz = csvTimeZoneFrom($('#csvExportTimeZone'));
+    const el = $('#csvExportExample');
+    if (!tz) {
+      el.textContent = 'Unknown time zone. Use a name like Europe/London or UTC.';
+      return;
+    }
+    el.textContent = `${state.sessions.length} session${state.sessions.length === 1 ? '' : 's'}. Dates look like: ${formatCsvDate(now(), $('#csvExportDateFormat').value, tz)}`;
+  }
 
-  function exportState() {
-    const filename = `bloomora_backup_${new Date().toISOString().slice(0,10)}.json`;
-    downloadText(filename, JSON.stringify(state, null, 2));
-    toast('Exported', 'Backup JSON downloaded.');
+  function exportSessionsCsv() {
+    const format = $('#csvExportDateFormat').value;
+    const tz = csvTimeZoneFrom($('#csvExportTimeZone'));
+    if (!tz) return renderCsvExportExample();
+    state.ui.csvDateFormat = format;
+    state.ui.csvTimeZone = String($('#csvExportTimeZone').value || '').trim();
+    saveState();
+    downloadText(`bloomora_sessions_${new Date().toISOString().slice(0,10)}.csv`, sessionsToCsv(state.sessions, format, tz), 'text/csv');
+    closeCsvExportModal();
+    toast('Exported', `${state.sessions.length} sessions downloaded as CSV.`);
   }
 
-  function importStateFromFile(file) {
+  // ---- import ----
+
+  function importSessionsCsvFile(file) {
     if (!file) return;
     const reader = new FileReader();
     reader.onload = () => {
-      const parsed = safeParseJson(reader.result);
-      if (!parsed.ok) {
-        toast('Import failed', 'That file was not valid JSON.');
-        return;
-      }
+      const rows = parseCsv(reader.result);
+      if (!rows.length) return toast('Import failed', 'That CSV file has no rows.');
+      csvImport = { fileName: file.name || 'sessions.csv', rows };
+      openCsvImportModal();
+    };
+    reader.readAsText(file);
+  }
 
-      const incoming = parsed.value;
-      // Basic validation
-      if (!incoming || typeof incoming !== 'object' || !Array.isArray(incoming.sessions)) {
-        toast('Import failed', 'File structure did not look like a Bloomora backup.');
-        return;
-      }
+  function csvImportColumns() {
+    const hasHeader = !!$('#csvImportHasHeader')?.checked;
+    const width = Math.max(...csvImport.rows.map(r => r.length));
+    return Array.from({ length: width }, (_, i) => {
+      const name = hasHeader ? String(csvImport.rows[0][i] || '').trim() : '';
+      return name || `Column ${i + 1}`;
+    });
+  }
 
-      // Merge with defaults to avoid missing keys
-      const d = defaultState();
-      
-
-      // Backward-compat: older backups may store Island/Garden progress as flat keys
-      const legacyIslandXpSec =
-        (incoming.island && (incoming.island.xpSec ?? incoming.island.xp_sec)) ??
-        incoming.island_xp_sec ??
-        incoming.profile?.island_xp_sec ??
-        incoming.profile?.islandXpSec;
-
-      const legacyGardenGrowthSec =
-        (incoming.garden && (incoming.garden.growthSec ?? incoming.garden.growth_sec)) ??
-        incoming.garden_growth_sec ??
-        incoming.profile?.garden_growth_sec ??
-        incoming.profile?.gardenGrowthSec;
-
-      const legacyGardenTreeType =
-        (incoming.garden && (incoming.garden.treeType ?? incoming.garden.tree_type)) ??
-        incoming.garden_tree_type ??
-        incoming.profile?.garden_tree_type;
-
-      const legacyGardenHarvested =
-        (incoming.garden && (incoming.garden.harvestedOnThisTree ?? incoming.garden.harvested_on_tree)) ??
-        incoming.garden_harvested_on_tree ??
-        incoming.profile?.garden_harvested_on_tree;
-
-state = {
-        ...d,
-        ...incoming,
-        profile: { ...d.profile, ...(incoming.profile || {}) },
-        island: { ...d.island, ...(incoming.island || {}), ...(legacyIslandXpSec!=null ? { xpSec: Number(legacyIslandXpSec) } : {}) },
-        garden: { ...d.garden, ...(incoming.garden || {}), ...(legacyGardenGrowthSec!=null ? { growthSec: Number(legacyGardenGrowthSec) } : {}), ...(legacyGardenTreeType ? { treeType: String(legacyGardenTreeType) } : {}), ...(legacyGardenHarvested!=null ? { harvestedOnThisTree: Number(legacyGardenHarvested) } : {}) },
-        fruitCollection: { ...d.fruitCollection, ...(incoming.fruitCollection || {}), ...((incoming.fruit_collection && typeof incoming.fruit_collection==='object') ? incoming.fruit_collection : {}) },
-        sessions: incoming.sessions,
-      };
+  function renderCsvMapping() {
+    const cols = csvImportColumns();
+    const used = new Set();
+    const guessFor = (field) => {
+      if (!$('#csvImportHasHeader').checked) return -1;
+      const i = cols.findIndex((c, idx) => !used.has(idx) && field.guess.test(c));
+      if (i >= 0) used.add(i);
+      return i;
+    };
+    const options = (selected) => ['<option value="-1">— Not in file —</option>']
+      .concat(cols.map((c, i) => `<option value="${i}"${i === selected ? ' selected' : ''}>${escapeHtml(c)}</option>`))
+      .join('');
+    $('#csvImportMapping').innerHTML = CSV_IMPORT_FIELDS.map(f => `
+      <div class="formRow">
+        <label class="label" for="csvMap_${f.key}">${escapeHtml(f.label)}</label>
+        <select class="input input--select" id="csvMap_${f.key}" data-csv-map="${f.key}">${options(guessFor(f))}</select>
+      </div>`).join('');
+    $$('[data-csv-map]').forEach(el => el.addEventListener('change', renderCsvImportPreview));
+  }
+
+  function openCsvImportModal() {
+    fillCsvDateFormatSelect($('#csvImportDateFormat'), true);
+    fillTimeZoneList();
+    $('#csvImportDateFormat').value = 'auto';
+    $('#csvImportTimeZone').value = deviceTimeZone();
+    $('#csvImportDurationUnit').value = 'auto';
+    $('#csvImportHasHeader').checked = true;
+    renderCsvMapping();
+    renderCsvImportPreview();
+    $('#csvImportModal').classList.remove('hidden');
+  }
+
+  function closeCsvImportModal() {
+    csvImport = { fileName: '', rows: [] };
+    $('#csvImportModal')?.classList.add('hidden');
+  }
+
+  // Fills in the missing one of start/end/duration (ms, ms, seconds) and applies
+  // the saveSession() limits. Returns { startTs, endTs, durationSec, warning }
+  // or why not; like a backup import, sessions over 24 hours only warn.
+  function completeSessionTimes(start, end, dur) {
+    if (dur == null && start != null && end != null) dur = (end - start) / 1000;
+    if (dur == null) return 'needs a duration, or both start and end';
+    if (start == null && end == null) return 'needs a start or end time';
+    if (end == null) end = start + dur * 1000;
+    if (start == null) start = end - dur * 1000;
+    if (end < start) return 'end is before start';
+    dur = Math.round(dur);
+    if (dur < 60) return 'shorter than 1 minute';
+    const warning = dur > BACKUP_MAX_SESSION_SEC ? `longer than 24 hours (${formatDuration(dur)})` : '';
+    return { startTs: start, endTs: end, durationSec: dur, warning };
+  }
+
+  // Imported sessions count as already present when start second and length match.
+  function sessionImportKey(startTs, durationSec) {
+    return `${Math.floor(Number(startTs) / 1000)}|${Number(durationSec)}`;
+  }
+
+  // Turns the mapped rows into saveSession()-style inputs.
+  // Returns { sessions, errors: [{ row, reason }], warnings: [{ row, reason }], duplicates }.
+  function csvRowsToSessions() {
+    const map = {};
+    $$('[data-csv-map]').forEach(el => { map[el.dataset.csvMap] = Number(el.value); });
+    const format = $('#csvImportDateFormat').value;
+    const tz = csvTimeZoneFrom($('#csvImportTimeZone')) || deviceTimeZone();
+    const unit = $('#csvImportDurationUnit').value;
+    const hasHeader = !!$('#csvImportHasHeader').checked;
+    const cell = (row, key) => (map[key] >= 0 ? csvUnguard(String(row[map[key]] ?? '').trim()) : '');
+
+    const existing = new Set(state.sessions.map(s => sessionImportKey(s.startTs, s.durationSec)));
+    const out = { sessions: [], errors: [], warnings: [], duplicates: 0 };
+    csvImport.rows.forEach((row, i) => {
+      if (hasHeader && i === 0) return;
+      const rowNo = i + 1;
+      const fail = (reason) => out.errors.push({ row: rowNo, reason });
+
+      const start = map.start >= 0 ? parseCsvDate(cell(row, 'start'), format, tz) : null;
+      const end = map.end >= 0 ? parseCsvDate(cell(row, 'end'), format, tz) : null;
+      const dur = map.duration >= 0 ? parseCsvDuration(cell(row, 'duration'), unit) : null;
+      if (map.start >= 0 && cell(row, 'start') && start == null) return fail(`start "${cell(row, 'start')}" is not a date`);
+      if (map.end >= 0 && cell(row, 'end') && end == null) return fail(`end "${cell(row, 'end')}" is not a date`);
+      if (map.duration >= 0 && cell(row, 'duration') && dur == null) return fail(`duration "${cell(row, 'duration')}" is not a number`);
+
+      const times = completeSessionTimes(start, end, dur);
+      if (typeof times === 'string') return fail(times);
+
+      const key = sessionImportKey(times.startTs, times.durationSec);
+      if (existing.has(key)) { out.duplicates++; return; }
+      existing.add(key);
+      if (times.warning) out.warnings.push({ row: rowNo, reason: times.warning });
+
+      const method = cell(row, 'method').toLowerCase();
+      const labelName = cell(row, 'label');
+      out.sessions.push({
+        durationSec: times.durationSec,
+        startedAt: times.startTs,
+        endedAt: times.endTs,
+        method: CSV_METHODS.has(method) ? method : 'manual',
+        rewardMode: cell(row, 'rewardMode') || undefined,
+        label: getLabelByName(labelName)?.name || labelName,
+      });
+    });
+    return out;
+  }
+
+  function renderCsvImportPreview() {
+    if (!csvImport.rows.length) return;
+    const tzOk = !!csvTimeZoneFrom($('#csvImportTimeZone'));
+    const res = csvRowsToSessions();
+    const dataRows = csvImport.rows.length - ($('#csvImportHasHeader').checked ? 1 : 0);
+    $('#csvImportInfo').textContent = `${csvImport.fileName} — ${dataRows} row${dataRows === 1 ? '' : 's'}.`;
+    const parts = [`${res.sessions.length} session${res.sessions.length === 1 ? '' : 's'} ready`];
+    if (res.duplicates) parts.push(`${res.duplicates} already in your history`);
+    if (res.warnings.length) parts.push(`${res.warnings.length} with a warning`);
+    if (res.errors.length) parts.push(`${res.errors.length} skipped`);
+    $('#csvImportPreview').textContent = parts.join(', ') + (tzOk ? '' : ' (unknown time zone; using this device\'s)');
+
+    $('#csvImportSample').innerHTML = res.sessions.slice(0, 5).map(s =>
+      `<li>${escapeHtml(new Date(s.startedAt).toLocaleString())} · ${escapeHtml(formatDuration(s.durationSec))}${s.label ? ' · ' + escapeHtml(s.label) : ''}</li>`).join('');
+    $('#csvImportErrorList').innerHTML = res.errors.slice(0, 50)
+      .map(e => `<li>Row ${e.row}: ${escapeHtml(e.reason)}</li>`).join('')
+      + (res.errors.length > 50 ? `<li>…and ${res.errors.length - 50} more</li>` : '');
+    $('#csvImportErrors').classList.toggle('hidden', !res.errors.length);
+    $('#csvImportWarningList').innerHTML = res.warnings.slice(0, 50)
+      .map(e => `<li>Row ${e.row}: ${escapeHtml(e.reason)}</li>`).join('')
+      + (res.warnings.length > 50 ? `<li>…and ${res.warnings.length - 50} more</li>` : '');
+    $('#csvImportWarnings').classList.toggle('hidden', !res.warnings.length);
+    $('#csvImportConfirm').disabled = !res.sessions.length;
+  }
+
+  function confirmCsvImport() {
+    const { sessions, errors } = csvRowsToSessions();
+    if (!sessions.length) return;
+    const added = sessions.map(addSessionRecord).filter(Boolean);
+    state.sessions.sort((a, b) => (Number(b.endTs || 0) - Number(a.endTs || 0)));
+    sbMarkDirty('sessions', added.map(s => s.clientId));
+    saveState();
+    sbUpsertSoon();
+    renderAll();
+    closeCsvImportModal();
+    toast('Imported', `${added.length} session${added.length === 1 ? '' : 's'} added from CSV.${errors.length ? ` ${errors.length} rows skipped.` : ''}`);
+  }
+
+  // ------------------ CALENDAR (.ics) ------------------
+  // Sessions as an iCalendar (RFC 5545) file: one VEVENT per session with
+  // UTC times, so calendar apps show them in their own time zone.
+
+  // TEXT values escape backslash, semicolon, comma and line breaks.
+  function icsText(v) {
+    return String(v ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+
+  function icsDate(ts) {
+    return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Content lines longer than 75 octets (UTF-8) are folded; continuation
+  // lines start with a space, which counts toward their 75.
+  function icsFold(line) {
+    const enc = new TextEncoder();
+    if (enc.encode(line).length <= 75) return line;
+    const out = [];
+    let cur = '';
+    let bytes = 0;
+    for (const ch of line) {
+      const n = enc.encode(ch).length;
+      if (bytes + n > (out.length ? 74 : 75)) {
+        out.push(cur);
+        cur = '';
+        bytes = 0;
+      }
+      cur += ch;
+      bytes += n;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+  }
+
+  function sessionsToIcs(sessions) {
+    const stamp = icsDate(now());
+    const cap = (v) => (v ? v[0].toUpperCase() + v.slice(1) : '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Bloomora//Study sessions//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:Bloomora study sessions',
+    ];
+    for (const s of sessions) {
+      const start = Number(s.startTs);
+      const end = Number(s.endTs);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) continue;
+      const desc = [
+        `Method: ${cap(s.method) || 'Unknown'}`,
+        `Duration: ${formatDuration(s.durationSec)}`,
+        s.rewardMode ? `Reward: ${cap(s.rewardMode)}` : '',
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${icsText(s.clientId || s.id)}@bloomora`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(end)}`,
+        `SUMMARY:${icsText(s.label || 'Study session')}`,
+        `DESCRIPTION:${icsText(desc)}`,
+      );
+      if (s.label) lines.push(`CATEGORIES:${icsText(s.label)}`);
+      lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
 
-      saveState();
-      renderAll();
-      toast('Imported', 'Backup restored successfully.');
-      if (sbSignedIn()) { sb.forcePushOnce = true; sbSaveMeta(); queueSyncSoon(50); }
+  // Filters share getFilteredSessions() with the Sessions page (and start from its current ones).
+  function icsExportFilters() {
+    return {
+      label: String($('#icsExportLabel')?.value || ''),
+      method: '',
+      from: String($('#icsExportFrom')?.value || ''),
+      to: String($('#icsExportTo')?.value || ''),
     };
-    reader.readAsText(file);
+  }
+
+  function openIcsExportModal() {
+    fillSessionLabelOptions($('#icsExportLabel'), sessionsView.filters.label);
+    $('#icsExportFrom').value = sessionsView.filters.from || '';
+    $('#icsExportTo').value = sessionsView.filters.to || '';
+    renderIcsExportSummary();
+    $('#icsExportModal').classList.remove('hidden');
+  }
+
+  function closeIcsExportModal() {
+    $('#icsExportModal')?.classList.add('hidden');
+  }
+
+  function renderIcsExportSummary() {
+    const f = icsExportFilters();
+    const n = getFilteredSessions(f).length;
+    const badRange = f.from && f.to && f.from > f.to;
+    $('#icsExportSummary').textContent = badRange
+      ? 'The start date is after the end date.'
+      : `${n} session${n === 1 ? '' : 's'} will be exported as calendar events.`;
+    $('#icsExportConfirm').disabled = badRange || !n;
+  }
+
+  function exportSessionsIcs() {
+    const list = getFilteredSessions(icsExportFilters());
+    if (!list.length) return;
+    const ordered = [...list].sort((a, b) => Number(a.startTs || 0) - Number(b.startTs || 0));
+    downloadText(`bloomora_sessions_${new Date().toISOString().slice(0,10)}.ics`, sessionsToIcs(ordered), 'text/calendar');
+    closeIcsExportModal();
+    toast('Exported', `${list.length} session${list.length === 1 ? '' : 's'} downloaded as a calendar file.`);
   }
 
   function resetAll() {
@@ -4283,11 +8397,15 @@ state = {
 
   function renderAll() {
     pomSettings = normalizePomSettings(state.pomodoro);
+    renderPomProfileSelect();
+    pomFollowIdleProfile();
+    renderTimerPresets();
     renderDashboard();
     renderIsland();
     renderGarden();
     renderLabels();
     renderStats();
+    renderTasks();
     renderRoute();
   }
 
@@ -4333,6 +8451,51 @@ on('#resetStatsBtn', 'click', () => {
   if (ok) resetStats();
 });
 
+// Sessions page: filters, paging, inline edit + delete
+const onSessFilter = () => {
+  sessionsView.filters = {
+    label: String($('#sessFilterLabel')?.value || ''),
+    method: String($('#sessFilterMethod')?.value || ''),
+    from: String($('#sessFilterFrom')?.value || ''),
+    to: String($('#sessFilterTo')?.value || ''),
+  };
+  sessionsView.page = 0;
+  renderSessionsPage();
+};
+['#sessFilterLabel', '#sessFilterMethod', '#sessFilterFrom', '#sessFilterTo'].forEach(sel => on(sel, 'change', onSessFilter));
+on('#sessFilterClear', 'click', () => {
+  ['#sessFilterLabel', '#sessFilterMethod', '#sessFilterFrom', '#sessFilterTo'].forEach(sel => { if ($(sel)) $(sel).value = ''; });
+  onSessFilter();
+});
+on('#sessPrev', 'click', () => { sessionsView.page -= 1; renderSessionsPage(); });
+on('#sessNext', 'click', () => { sessionsView.page += 1; renderSessionsPage(); });
+on('#sessionsList', 'input', onSessionEditInput);
+on('#sessionsList', 'click', (e) => {
+  const t = e.target && e.target.closest ? e.target : null;
+  if (!t) return;
+  const editBtn = t.closest('[data-session-edit]');
+  if (editBtn) {
+    sessionsView.editingId = editBtn.getAttribute('data-session-edit');
+    renderSessionsPage();
+    return;
+  }
+  if (t.closest('[data-session-edit-cancel]')) {
+    sessionsView.editingId = null;
+    renderSessionsPage();
+    return;
+  }
+  const saveBtn = t.closest('[data-session-edit-save]');
+  if (saveBtn) {
+    saveSessionEdit(saveBtn.closest('.sessionItem'), saveBtn.getAttribute('data-session-edit-save'));
+    return;
+  }
+  const delBtn = t.closest('.sessionDeleteBtn');
+  if (delBtn) {
+    const ok = confirm('Delete this study session? This will also reduce your progress.');
+    if (ok) deleteSessionById(delBtn.getAttribute('data-session-id') || '');
+  }
+});
+
 // Delete individual sessions from the Dashboard "Recent sessions" list
 on('#recentSessions', 'click', (e) => {
   const btn = e.target && e.target.closest ? e.target.closest('.sessionDeleteBtn') : null;
@@ -4415,6 +8578,15 @@ if (file.size && file.size > maxBytes) {
         if (t === 'sound') closeSoundModal();
         if (t === 'music') closeMusicModal();
         if (t === 'pom') closePomSettingsModal();
+        if (t === 'pomPartial') closePomPartialModal();
+        if (t === 'preset') closePresetModal();
+        if (t === 'pauseReason') closePauseReasonModal();
+        if (t === 'backupPass') closeBackupPassModal();
+        if (t === 'import') closeImportModal();
+        if (t === 'csvExport') closeCsvExportModal();
+        if (t === 'csvImport') closeCsvImportModal();
+        if (t === 'icsExport') closeIcsExportModal();
+        if (t === 'sessionImport') closeSessionImportModal();
       });
     });
 
@@ -4465,6 +8637,15 @@ if (file.size && file.size > maxBytes) {
       if ($('#soundModal') && !$('#soundModal').classList.contains('hidden')) closeSoundModal();
       if ($('#musicModal') && !$('#musicModal').classList.contains('hidden')) closeMusicModal();
       if ($('#pomSettingsModal') && !$('#pomSettingsModal').classList.contains('hidden')) closePomSettingsModal();
+      if ($('#pomPartialModal') && !$('#pomPartialModal').classList.contains('hidden')) closePomPartialModal();
+      if ($('#presetModal') && !$('#presetModal').classList.contains('hidden')) closePresetModal();
+      if ($('#pauseReasonModal') && !$('#pauseReasonModal').classList.contains('hidden')) closePauseReasonModal();
+      if ($('#backupPassModal') && !$('#backupPassModal').classList.contains('hidden')) closeBackupPassModal();
+      if ($('#importModal') && !$('#importModal').classList.contains('hidden')) closeImportModal();
+      if ($('#csvExportModal') && !$('#csvExportModal').classList.contains('hidden')) closeCsvExportModal();
+      if ($('#csvImportModal') && !$('#csvImportModal').classList.contains('hidden')) closeCsvImportModal();
+      if ($('#icsExportModal') && !$('#icsExportModal').classList.contains('hidden')) closeIcsExportModal();
+      if ($('#sessionImportModal') && !$('#sessionImportModal').classList.contains('hidden')) closeSessionImportModal();
     });
 
     // Settings export/import/reset
@@ -4474,39 +8655,84 @@ if (file.size && file.size > maxBytes) {
 
     // Dashboard export/import
     on('#exportJsonBtn', 'click', exportState);
+    on('#exportEncryptedBtn', 'click', () => openBackupPassModal('export'));
+    on('#backupPassSubmit', 'click', submitBackupPass);
+    on('#backupPassInput', 'keydown', (e) => { if (e.key === 'Enter') submitBackupPass(); });
+    on('#backupPassConfirm', 'keydown', (e) => { if (e.key === 'Enter') submitBackupPass(); });
+    $$('input[name="importMode"]').forEach(el => el.addEventListener('change', renderImportPreview));
+    on('#importConfirmBtn', 'click', confirmImport);
+    on('#importQuarantineBtn', 'click', downloadImportQuarantine);
     on('#importJsonBtn', 'click', () => $('#importFileHidden')?.click());
     on('#importFileHidden', 'change', (e) => importStateFromFile(e.target.files?.[0]));
+    on('#sessionImportFormat', 'change', renderSessionImportPreview);
+    on('#sessionImportConfirm', 'click', confirmSessionImport);
+
+    // Sessions CSV export/import
+    on('#csvExportBtn', 'click', openCsvExportModal);
+    on('#csvExportDateFormat', 'change', renderCsvExportExample);
+    on('#csvExportTimeZone', 'input', renderCsvExportExample);
+    on('#csvExportConfirm', 'click', exportSessionsCsv);
+    on('#csvImportBtn', 'click', () => $('#csvImportFile')?.click());
+    on('#csvImportFile', 'change', (e) => { importSessionsCsvFile(e.target.files?.[0]); e.target.value = ''; });
+    on('#csvImportHasHeader', 'change', () => { renderCsvMapping(); renderCsvImportPreview(); });
+    on('#csvImportDateFormat', 'change', renderCsvImportPreview);
+    on('#csvImportTimeZone', 'input', renderCsvImportPreview);
+    on('#csvImportDurationUnit', 'change', renderCsvImportPreview);
+    on('#csvImportConfirm', 'click', confirmCsvImport);
+
+    // Sessions calendar export
+    on('#icsExportBtn', 'click', openIcsExportModal);
+    ['#icsExportLabel', '#icsExportFrom', '#icsExportTo'].forEach(sel => on(sel, 'change', renderIcsExportSummary));
+    on('#icsExportConfirm', 'click', exportSessionsIcs);
 
     // Timer segmented
     $$('[data-timer-tab]').forEach(btn => {
       btn.addEventListener('click', () => setTimerTab(btn.dataset.timerTab));
     });
 
-    // Remember which world view the user prefers to *see* (progress is always synced)
-    const rememberWorldView = (val) => {
-      const m = normalizeRewardMode(val);
-      if (state.ui.worldView !== m) {
-        state.ui.worldView = m;
-        saveState();
-      }
-    };
-    on('#cdReward', 'change', (e) => rememberWorldView(e.target.value));
-
     // Stopwatch events
     on('#swStart', 'click', swStart);
-    on('#swPause', 'click', swPause);
+    on('#swPause', 'click', () => { swPause(); askPauseReason(swPauses); });
     on('#swReset', 'click', swReset);
     on('#swEnd', 'click', swEndAndSave);
 
     // Pomodoro
-    on('#pomStart', 'click', pomToggleStart);
-    on('#pomReset', 'click', pomReset);
-    on('#pomSkip', 'click', pomSkip);
+    on('#pomStart', 'click', () => { pomToggleStart(); askPauseReason(pom.focusPauses); });
+    on('#pomReset', 'click', () => pomGuardPartial(pomReset, 'reset'));
+    on('#pomSkip', 'click', () => pomGuardPartial(pomSkip, 'skip'));
+    on('#pomPartialSave', 'click', () => resolvePomPartial(true));
+    on('#pomPartialDiscard', 'click', () => resolvePomPartial(false));
     on('#pomSave', 'click', pomSaveFocusElapsed);
 
     on('#pomSettings', 'click', () => openPomSettingsModal());
 
     on('#pomSaveSettingsBtn', 'click', () => savePomSettingsModal());
+    on('#pomSaveAsNewBtn', 'click', () => savePomSettingsModal(true));
+    on('#pomDeleteProfileBtn', 'click', deletePomProfile);
+    on('#pomProfile', 'change', (e) => pomSelectProfile(e.target.value));
+    ['#swLabel', '#pomLabel', '#cdLabel', '#ftLabel'].forEach(sel => on(sel, 'change', persistActiveTimers));
+    on('#ftStart', 'click', () => { ftToggleStart(); askPauseReason(ft.pauses); });
+    on('#ftEnd', 'click', ftEndFocus);
+    on('#ftReset', 'click', ftReset);
+    on('#ftSkipBreak', 'click', ftToFocus);
+    on('#ftRatio', 'change', (e) => setFlowtimeRatio(e.target.value));
+
+    // Timer presets (chips are re-rendered, so clicks are delegated)
+    ['#timerPresetChips', '#dashPresetChips'].forEach(sel => on(sel, 'click', (e) => {
+      const chip = e.target.closest('[data-preset-start]');
+      if (chip) startTimerPreset(chip.dataset.presetStart);
+      else if (e.target.closest('[data-preset-manage]')) openPresetModal();
+    }));
+    $$('#page-dashboard [data-preset-manage]').forEach(btn => btn.addEventListener('click', openPresetModal));
+    on('#presetType', 'change', presetFormTypeChanged);
+    on('#presetAddBtn', 'click', addPresetFromForm);
+    on('#presetList', 'click', (e) => {
+      const btn = e.target.closest('[data-preset-delete]');
+      if (btn) deleteTimerPreset(btn.dataset.presetDelete);
+    });
+    on('#timerRecoveryResume', 'click', () => resolveTimerRecovery('resume'));
+    on('#timerRecoverySave', 'click', () => resolveTimerRecovery('save'));
+    on('#timerRecoveryDiscard', 'click', () => resolveTimerRecovery('discard'));
 
     // Countdown
     ['cdHours','cdMinutes','cdSeconds'].forEach(id => {
@@ -4527,7 +8753,11 @@ if (file.size && file.size > maxBytes) {
       cdStart();
     });
 
-    on('#cdPause', 'click', cdPause);
+    on('#cdPause', 'click', () => { cdPause(); askPauseReason(cd.pauses); });
+    $$('[data-pause-reason]').forEach(btn => btn.addEventListener('click', () => savePauseReason(btn.dataset.pauseReason)));
+    on('#pauseReasonSave', 'click', () => savePauseReason($('#pauseReasonInput').value));
+    on('#pauseReasonSkip', 'click', () => savePauseReason(''));
+    on('#pauseReasonInput', 'keydown', (e) => { if (e.key === 'Enter') savePauseReason(e.target.value); });
     on('#cdReset', 'click', cdReset);
     on('#cdSave', 'click', cdSaveAndReset);
 
@@ -4797,6 +9027,10 @@ function applyBackgroundImage() {
 // ------------------ INIT ------------------
 
   function init() {
+    // Read before the timers below reset, so an interrupted session isn't overwritten.
+    timerRecovery = loadActiveTimers();
+    resetSyncFieldSnapshot();
+
     bindEvents();
     ambientDockInit();
 
@@ -4812,13 +9046,12 @@ function applyBackgroundImage() {
     // background image
     applyBackgroundImage();
 
-    // keep reward selectors aligned with last used world view
-    syncRewardSelectorsFromWorldView();
-
     // initial
     setTimerTab('timer');
     swReset();
     pomReset();
+    if ($('#ftRatio')) $('#ftRatio').value = String(normalizeFlowtimeRatio(state.profile.flowtimeRatio));
+    ftReset();
     sessSyncAmbient();
 
     // Countdown default
@@ -4832,6 +9065,21 @@ function applyBackgroundImage() {
 
     // initial render
     renderAll();
+
+    if (timerRecovery) openTimerRecoveryModal(timerRecovery);
+    else pomApplyProfileLabel();
+    window.addEventListener('pagehide', () => {
+      lastTimerSnapshotJson = null;
+      persistActiveTimers();
+    });
+    // Catch up as soon as a throttled tab or a woken laptop is visible again.
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState !== 'visible') return;
+      cdTick();
+      pomTick();
+      if (swRunning) swRender();
+      if (ft.interval) ftTick();
+    });
     // Supabase auth/sync init
     sbInit();
 
@@ -4843,7 +9091,7 @@ function applyBackgroundImage() {
     on('#accountSignInBtn', 'click', async () => {
       const email = String(document.getElementById('accountEmail')?.value || '').trim();
       const pass = String(document.getElementById('accountPassword')?.value || '');
-      if (!sb.ready) return toast('Sync unavailable', 'Supabase is not ready.');
+      if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
       if (!email || !pass) return toast('Missing info', 'Enter email and password.');
       await authSignIn(email, pass);
     });
@@ -4851,29 +9099,75 @@ function applyBackgroundImage() {
     on('#accountSignUpBtn', 'click', async () => {
       const email = String(document.getElementById('accountEmail')?.value || '').trim();
       const pass = String(document.getElementById('accountPassword')?.value || '');
-      if (!sb.ready) return toast('Sync unavailable', 'Supabase is not ready.');
+      if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
       if (!email || !pass) return toast('Missing info', 'Enter email and password.');
       if (pass.length < 6) return toast('Password too short', 'Use 6+ characters.');
       await authSignUp(email, pass);
     });
 
+    on('#accountMagicLinkBtn', 'click', async () => {
+      const email = String(document.getElementById('accountEmail')?.value || '').trim();
+      if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+      if (!email) return toast('Missing info', 'Enter your email.');
+      await authSendMagicLink(email);
+    });
+
+    on('#accountResetBtn', 'click', async () => {
+      const email = String(document.getElementById('accountEmail')?.value || '').trim();
+      if (!sb.ready) return toast('Sync unavailable', 'Sync is not configured.');
+      if (!email) return toast('Missing info', 'Enter your email.');
+      await authSendPasswordReset(email);
+    });
+
+    $$('[data-oauth-provider]').forEach(btn => {
+      btn.addEventListener('click', () => authSignInWithOAuth(btn.dataset.oauthProvider));
+    });
+
+    on('#accountSetPasswordBtn', 'click', async () => {
+      const pass = String(document.getElementById('accountNewPassword')?.value || '');
+      if (pass.length < 6) return toast('Password too short', 'Use 6+ characters.');
+      await authSetNewPassword(pass);
+      const input = document.getElementById('accountNewPassword');
+      if (input && !sb.recovery) input.value = '';
+    });
+
+    on('#accountDownloadCloudBtn', 'click', downloadCloudData);
+
+    on('#accountDeleteCloudToggle', 'click', () => {
+      $('#accountDeletePanel')?.classList.toggle('hidden');
+    });
+
+    on('#accountDeleteConfirm', 'input', (e) => {
+      const btn = $('#accountDeleteCloudBtn');
+      if (btn) btn.disabled = e.target.value.trim() !== 'DELETE';
+    });
+
+    on('#accountDeleteCloudBtn', 'click', async () => {
+      const input = $('#accountDeleteConfirm');
+      if (!input || input.value.trim() !== 'DELETE') return;
+      await deleteCloudData({ keepLocal: !!$('#accountDeleteKeepLocal')?.checked });
+      input.value = '';
+      $('#accountDeleteCloudBtn').disabled = true;
+      $('#accountDeletePanel')?.classList.add('hidden');
+    });
+
     on('#accountSignOutBtn', 'click', authSignOut);
     on('#authSignOutBtn', 'click', authSignOut);
 
     on('#accountSyncNowBtn', 'click', () => {
       if (!sbSignedIn()) return toast('Not signed in', 'Sign in to sync.');
-      queueSyncSoon(50);
+      sbRetryNow();
     });
     on('#syncNowBtn', 'click', () => {
       if (!sbSignedIn()) return toast('Not signed in', 'Sign in to sync.');
-      queueSyncSoon(50);
+      sbRetryNow();
     });
     on('#syncNowBtn2', 'click', () => {
       if (!sbSignedIn()) return toast('Not signed in', 'Sign in to sync.');
-      queueSyncSoon(50);
+      sbRetryNow();
     });
 
-if (storageBlocked) {
+if (storageBlocked && !idb.ready) {
       toast('Storage blocked', 'Your browser blocked local saving for file:// pages. Run Bloomora from a local web server (http://localhost) to persist your data.');
     }
 
@@ -4881,10 +9175,7 @@ if (storageBlocked) {
   }
 
   function setupColorGrids() {
-    const colors = [
-      '#6366f1', '#8b5cf6', '#ec4899', '#ef4444', '#f97316', '#eab308',
-      '#84cc16', '#10b981', '#06b6d4', '#3b82f6', '#a855f7', '#f43f5e',
-    ];
+    const colors = LABEL_COLORS;
 
     const makeGrid = (gridId, inputId) => {
       const grid = $(gridId);
@@ -4919,27 +9210,37 @@ if (storageBlocked) {
   window.__bloomora = { state, persist, openSettings, qs: $ };
 
   // Boot the app. If something goes wrong, surface the error instead of a blank screen.
-  try {
-    init();
-  } catch (e) {
-    console.error('Bloomora boot error:', e);
-    // Ensure at least the dashboard is visible as a fallback
+  function boot() {
     try {
-      document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-      const dash = document.getElementById('page-dashboard');
-      if (dash) dash.classList.add('active');
-    } catch {}
-
-    const host = document.getElementById('app') || document.body;
-    const box = document.createElement('div');
-    box.style.cssText = 'max-width:900px;margin:24px auto;padding:16px;border:1px solid rgba(255,255,255,.12);border-radius:14px;background:#0b0b0b;color:#fff;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;';
-    box.innerHTML = `
-      <h2 style="margin:0 0 8px;font-size:18px">Something went wrong while loading Bloomora</h2>
-      <div style="opacity:.8;font-size:13px;line-height:1.4">Open DevTools → Console for details. Error:</div>
-      <pre style="white-space:pre-wrap;margin:10px 0 0;padding:10px;border-radius:10px;background:#000;border:1px solid rgba(255,255,255,.10);font-size:12px;line-height:1.35;">${(e && (e.stack || e.message)) ? String(e.stack || e.message) : String(e)}</pre>
-    `;
-    host.prepend(box);
+      init();
+    } catch (e) {
+      console.error('Bloomora boot error:', e);
+      // Ensure at least the dashboard is visible as a fallback
+      try {
+        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+        const dash = document.getElementById('page-dashboard');
+        if (dash) dash.classList.add('active');
+      } catch {}
+
+      const host = document.getElementById('app') || document.body;
+      const box = document.createElement('div');
+      box.style.cssText = 'max-width:900px;margin:24px auto;padding:16px;border:1px solid rgba(255,255,255,.12);border-radius:14px;background:#0b0b0b;color:#fff;font-family:system-ui,Segoe UI,Roboto,Helvetica,Arial;';
+      box.innerHTML = `
+        <h2 style="margin:0 0 8px;font-size:18px">Something went wrong while loading Bloomora</h2>
+        <div style="opacity:.8;font-size:13px;line-height:1.4">Open DevTools → Console for details. Error:</div>
+        <pre style="white-space:pre-wrap;margin:10px 0 0;padding:10px;border-radius:10px;background:#000;border:1px solid rgba(255,255,255,.10);font-size:12px;line-height:1.35;">${(e && (e.stack || e.message)) ? String(e.stack || e.message) : String(e)}</pre>
+      `;
+      host.prepend(box);
+    }
   }
+
+  // Load from IndexedDB (or migrate into it) before the first render.
+  idbInit().then((usingIdb) => {
+    if (usingIdb) {
+      pomSettings = normalizePomSettings(state.pomodoro);
+      window.__bloomora.state = state;
+    }
+  }).finally(boot);
 })();
 
 // YouTube audio controller (for top-bar play/pause/skip)
@@ -0,0 +1,188 @@
+/*
+  Bloomora reference sync server (REST/JSON)
+  - No dependencies: Node 18+ only
+  - Implements the API documented in README.md ("Self-hosted sync")
+  - Keeps everything in memory; pass --data <file> to persist to a JSON file
+
+  Usage:
+    node rest-sync-server.js [--port 8787] [--data bloomora-sync.json]
+
+  Then in supabase-config.js (or any script loaded before app.js):
+    window.BLOOMORA_SYNC_PROVIDER = 'rest';
+    window.BLOOMORA_REST_URL = 'http://localhost:8787';
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+};
+const PORT = Number(argValue('--port', process.env.PORT || 8787));
+const DATA_FILE = argValue('--data', '');
+
+// Same keys as SYNC_TABLE_KEYS in app.js.
+const TABLE_KEYS = { profiles: 'id', labels: 'local_id', sessions: 'client_id', tasks: 'local_id', habits: 'local_id' };
+
+let db = { users: [], tokens: {}, tables: { profiles: [], labels: [], sessions: [], tasks: [], habits: [] } };
+if (DATA_FILE && fs.existsSync(DATA_FILE)) {
+  db = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+}
+
+function save() {
+  if (DATA_FILE) fs.writeFileSync(DATA_FILE, JSON.stringify(db));
+}
+
+// updated_at must strictly increase: clients pull rows from just before their high-water mark.
+let lastStampMs = 0;
+function stamp() {
+  lastStampMs = Math.max(Date.now(), lastStampMs + 1);
+  return new Date(lastStampMs).toISOString();
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(String(password), salt, 32).toString('hex');
+}
+
+function issueToken(user) {
+  const token = crypto.randomBytes(24).toString('hex');
+  db.tokens[token] = user.id;
+  save();
+  return { token, user: { id: user.id, email: user.email } };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(status === 204 ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+      if (raw.length > 20 * 1024 * 1024) reject(new Error('Body too large'));
+    });
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch { reject(new Error('Invalid JSON')); }
+    });
+    req.on('error', reject);
+  });
+}
+
+function userFor(req) {
+  const m = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  const id = m && db.tokens[m[1]];
+  return id ? db.users.find(u => u.id === id) || null : null;
+}
+
+function ownRows(table, user) {
+  const owner = table === 'profiles' ? 'id' : 'user_id';
+  return db.tables[table].filter(r => r[owner] === user.id);
+}
+
+function handleAuth(req, res, path, body) {
+  if (path === '/auth/signup' || path === '/auth/login') {
+    const email = String(body.email || '').trim().toLowerCase();
+    const password = String(body.password || '');
+    if (!email || password.length < 6) return send(res, 400, { error: 'Email and a 6+ character password are required.' });
+    let user = db.users.find(u => u.email === email);
+    if (path === '/auth/signup') {
+      if (user) return send(res, 409, { error: 'An account with that email already exists.' });
+      const salt = crypto.randomBytes(16).toString('hex');
+      user = { id: crypto.randomUUID(), email, salt, hash: hashPassword(password, salt) };
+      db.users.push(user);
+    } else if (!user || user.hash !== hashPassword(password, user.salt)) {
+      return send(res, 401, { error: 'Invalid email or password.' });
+    }
+    return send(res, 200, issueToken(user));
+  }
+
+  const user = userFor(req);
+  if (!user) return send(res, 401, { error: 'Not signed in.' });
+  if (path === '/auth/session' && req.method === 'GET') return send(res, 200, { user: { id: user.id, email: user.email } });
+  if (path === '/auth/logout' && req.method === 'POST') {
+    delete db.tokens[req.headers.authorization.slice(7)];
+    save();
+    return send(res, 204);
+  }
+  return send(res, 404, { error: 'Not found.' });
+}
+
+function handleTable(req, res, table, action, query, body) {
+  const user = userFor(req);
+  if (!user) return send(res, 401, { error: 'Not signed in.' });
+  const key = TABLE_KEYS[table];
+  const rows = db.tables[table];
+
+  if (!action && req.method === 'GET') {
+    const since = query.get('since');
+    const sinceMs = since ? Date.parse(since) : -Infinity;
+    const out = ownRows(table, user)
+      .filter(r => Date.parse(r.updated_at) >= sinceMs)
+      .sort((a, b) => Date.parse(a.updated_at) - Date.parse(b.updated_at));
+    return send(res, 200, { rows: out });
+  }
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed.' });
+
+  if (action === 'upsert') {
+    for (const incoming of Array.isArray(body.rows) ? body.rows : []) {
+      const row = { ...incoming, updated_at: stamp() };
+      if (table === 'profiles') row.id = user.id;
+      else row.user_id = user.id;
+      if (!row[key]) return send(res, 400, { error: `Missing ${key}.` });
+      const i = rows.findIndex(r => (table === 'profiles' || r.user_id === user.id) && String(r[key]) === String(row[key]));
+      if (i >= 0) rows[i] = { ...rows[i], ...row };
+      else rows.push(row);
+    }
+    save();
+    return send(res, 200, { ok: true });
+  }
+
+  if (action === 'tombstone') {
+    const ids = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+    const at = String(body.at || new Date().toISOString());
+    for (const r of ownRows(table, user)) {
+      const hit = ids ? ids.has(String(r[key])) : (!r.deleted_at && Date.parse(r.ended_at) < Date.parse(at));
+      if (hit) Object.assign(r, { deleted_at: at, updated_at: stamp() });
+    }
+    save();
+    return send(res, 200, { ok: true });
+  }
+
+  if (action === 'delete') {
+    const ids = Array.isArray(body.ids) ? new Set(body.ids.map(String)) : null;
+    const owner = table === 'profiles' ? 'id' : 'user_id';
+    db.tables[table] = rows.filter(r => r[owner] !== user.id || (ids && !ids.has(String(r[key]))));
+    save();
+    return send(res, 200, { ok: true });
+  }
+
+  return send(res, 404, { error: 'Not found.' });
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    const body = req.method === 'POST' ? await readBody(req) : {};
+    if (url.pathname.startsWith('/auth/')) return handleAuth(req, res, url.pathname, body);
+    const m = /^\/tables\/([a-z]+)(?:\/([a-z]+))?$/.exec(url.pathname);
+    if (m && TABLE_KEYS[m[1]]) return handleTable(req, res, m[1], m[2] || '', url.searchParams, body);
+    return send(res, 404, { error: 'Not found.' });
+  } catch (e) {
+    return send(res, 400, { error: e.message || 'Bad request.' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Bloomora sync server on http://localhost:${PORT}${DATA_FILE ? ` (data: ${DATA_FILE})` : ' (in memory)'}`);
+});
@@ -4,3 +4,12 @@
 // You can find these in Supabase Dashboard → Project Settings → API
 window.BLOOMORA_SUPABASE_URL = "https://YOUR-PROJECT-REF.supabase.co";
 window.BLOOMORA_SUPABASE_ANON_KEY = "YOUR-ANON-KEY";
+//
+// Magic links, password resets and OAuth ("Continue with Google/GitHub") send the
+// browser back to this page. Add its URL (e.g. https://you.github.io/bloomora/)
+// under Authentication → URL Configuration → Redirect URLs, and enable the
+// providers you want under Authentication → Providers.
+//
+// Not using Supabase? Run your own sync server instead (see README.md):
+// window.BLOOMORA_SYNC_PROVIDER = 'rest';
+// window.BLOOMORA_REST_URL = 'http://localhost:8787';
@@ -22,6 +22,9 @@ create table if not exists public.profiles (
   garden_tree_type text default 'Apple',
   garden_harvested_on_tree int default 0,
   fruit_collection jsonb default '{}'::jsonb,
+  garden_planted_ts bigint default 0,
+  field_updated_at jsonb default '{}'::jsonb,
+  settings jsonb default '{}'::jsonb,
 
   updated_at timestamptz default now()
 );
@@ -40,6 +43,11 @@ alter table public.profiles add column if not exists garden_tree_type text defau
 alter table public.profiles add column if not exists garden_harvested_on_tree int default 0;
 alter table public.profiles add column if not exists fruit_collection jsonb default '{}'::jsonb;
 alter table public.profiles add column if not exists updated_at timestamptz default now();
+alter table public.profiles add column if not exists garden_planted_ts bigint default 0;
+-- per-setting change times (ms) used to merge settings field by field
+alter table public.profiles add column if not exists field_updated_at jsonb default '{}'::jsonb;
+-- pomodoro lengths, sound/video settings, background and habit check-ins
+alter table public.profiles add column if not exists settings jsonb default '{}'::jsonb;
 
 create table if not exists public.labels (
   id uuid primary key default gen_random_uuid(),
@@ -67,22 +75,121 @@ create table if not exists public.sessions (
   source text,
   reward_mode text,
   updated_at timestamptz default now(),
+  deleted_at timestamptz,
   unique(user_id, client_id)
 );
 
 alter table public.sessions add column if not exists reward_mode text;
 alter table public.sessions add column if not exists updated_at timestamptz default now();
+-- Tombstone: deleted sessions keep their row so the deletion reaches every device.
+alter table public.sessions add column if not exists deleted_at timestamptz;
+-- Pauses inside a session: [{ startTs, endTs, reason }] (epoch ms).
+alter table public.sessions add column if not exists pauses jsonb;
+
+create table if not exists public.tasks (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  local_id text not null,
+  text text not null,
+  description text,
+  label_id text,
+  done boolean default false,
+  created_ts timestamptz default now(),
+  updated_at timestamptz default now(),
+  deleted_at timestamptz,
+  unique(user_id, local_id)
+);
+
+-- Habit items are stored as-is in `data`.
+create table if not exists public.habits (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  local_id text not null,
+  data jsonb not null default '{}'::jsonb,
+  updated_at timestamptz default now(),
+  deleted_at timestamptz,
+  unique(user_id, local_id)
+);
 
 -- Helpful indexes
 create index if not exists sessions_user_id_idx on public.sessions(user_id);
 create index if not exists labels_user_id_idx on public.labels(user_id);
 
+-- Delta sync pulls rows by updated_at
+create index if not exists sessions_user_updated_idx on public.sessions(user_id, updated_at);
+create index if not exists labels_user_updated_idx on public.labels(user_id, updated_at);
+create index if not exists tasks_user_updated_idx on public.tasks(user_id, updated_at);
+create index if not exists habits_user_updated_idx on public.habits(user_id, updated_at);
+
+-- ─────────────────────────────────────────────────────────────
+-- updated_at is set by the server so device clocks can't skew the
+-- sync high-water mark (the client value is overwritten).
+-- clock_timestamp() is the time of the write, not the transaction
+-- start (now()); clients still pull with an overlap window because a
+-- transaction can commit after a later-stamped one.
+-- ─────────────────────────────────────────────────────────────
+create or replace function public.touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at = clock_timestamp();
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_touch_updated_at on public.profiles;
+create trigger profiles_touch_updated_at
+before insert or update on public.profiles
+for each row execute function public.touch_updated_at();
+
+drop trigger if exists labels_touch_updated_at on public.labels;
+create trigger labels_touch_updated_at
+before insert or update on public.labels
+for each row execute function public.touch_updated_at();
+
+drop trigger if exists sessions_touch_updated_at on public.sessions;
+create trigger sessions_touch_updated_at
+before insert or update on public.sessions
+for each row execute function public.touch_updated_at();
+
+drop trigger if exists tasks_touch_updated_at on public.tasks;
+create trigger tasks_touch_updated_at
+before insert or update on public.tasks
+for each row execute function public.touch_updated_at();
+
+drop trigger if exists habits_touch_updated_at on public.habits;
+create trigger habits_touch_updated_at
+before insert or update on public.habits
+for each row execute function public.touch_updated_at();
+
+-- ─────────────────────────────────────────────────────────────
+-- Realtime: other devices subscribe to row changes (postgres_changes)
+-- ─────────────────────────────────────────────────────────────
+do $$
+declare t text;
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    foreach t in array array['profiles', 'labels', 'sessions', 'tasks', 'habits'] loop
+      if not exists (
+        select 1 from pg_publication_tables
+        where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t
+      ) then
+        execute format('alter publication supabase_realtime add table public.%I', t);
+      end if;
+    end loop;
+  end if;
+end;
+$$;
+
 -- ─────────────────────────────────────────────────────────────
 -- RLS
 -- ─────────────────────────────────────────────────────────────
 alter table public.profiles enable row level security;
 alter table public.labels enable row level security;
 alter table public.sessions enable row level security;
+alter table public.tasks enable row level security;
+alter table public.habits enable row level security;
 
 -- ─────────────────────────────────────────────────────────────
 -- Policies (drop + create)
@@ -92,6 +199,7 @@ alter table public.sessions enable row level security;
 drop policy if exists "profiles read own" on public.profiles;
 drop policy if exists "profiles insert own" on public.profiles;
 drop policy if exists "profiles update own" on public.profiles;
+drop policy if exists "profiles delete own" on public.profiles;
 
 create policy "profiles read own"
 on public.profiles for select
@@ -105,6 +213,10 @@ create policy "profiles update own"
 on public.profiles for update
 using (auth.uid() = id);
 
+create policy "profiles delete own"
+on public.profiles for delete
+using (auth.uid() = id);
+
 -- labels
 drop policy if exists "labels read own" on public.labels;
 drop policy if exists "labels insert own" on public.labels;
@@ -149,6 +261,50 @@ create policy "sessions delete own"
 on public.sessions for delete
 using (auth.uid() = user_id);
 
+-- tasks
+drop policy if exists "tasks read own" on public.tasks;
+drop policy if exists "tasks insert own" on public.tasks;
+drop policy if exists "tasks update own" on public.tasks;
+drop policy if exists "tasks delete own" on public.tasks;
+
+create policy "tasks read own"
+on public.tasks for select
+using (auth.uid() = user_id);
+
+create policy "tasks insert own"
+on public.tasks for insert
+with check (auth.uid() = user_id);
+
+create policy "tasks update own"
+on public.tasks for update
+using (auth.uid() = user_id);
+
+create policy "tasks delete own"
+on public.tasks for delete
+using (auth.uid() = user_id);
+
+-- habits
+drop policy if exists "habits read own" on public.habits;
+drop policy if exists "habits insert own" on public.habits;
+drop policy if exists "habits update own" on public.habits;
+drop policy if exists "habits delete own" on public.habits;
+
+create policy "habits read own"
+on public.habits for select
+using (auth.uid() = user_id);
+
+create policy "habits insert own"
+on public.habits for insert
+with check (auth.uid() = user_id);
+
+create policy "habits update own"
+on public.habits for update
+using (auth.uid() = user_id);
+
+create policy "habits delete own"
+on public.habits for delete
+using (auth.uid() = user_id);
+
 
 -- Labels: store client-side label id strings in local_id to avoid UUID issues.
 alter table if exists public.labels add column if not exists local_id text;